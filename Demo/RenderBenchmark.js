@@ -0,0 +1,92 @@
+'use strict';
+
+import React, { Component } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View
+} from 'react-native';
+
+import ViewTransformer from 'react-native-view-transformer';
+
+const CELL_COUNT = 400;
+
+/**
+ * Counts how many times the transformed children render per gesture.
+ * Render it instead of <App /> in index.ios.js or index.android.js, then pinch, pan or fling.
+ * Ideally the count stays at 0, since the transform is applied without re-rendering the children.
+ */
+export default class RenderBenchmark extends Component {
+
+  constructor(props) {
+    super(props);
+    this.renderCount = 0;
+    this.transformCount = 0;
+    this.state = {
+      result: 'Pinch, pan or fling to measure.'
+    };
+  }
+
+  render() {
+    return (
+      <View style={{flex: 1}}>
+        <ViewTransformer
+          style={{flex: 1}}
+          maxScale={3}
+          onTransformStart={() => {
+            this.renderCount = 0;
+            this.transformCount = 0;
+          }}
+          onViewTransformed={() => {
+            this.transformCount++;
+          }}
+          onTransformGestureReleased={() => {
+            let result = this.renderCount + ' renders for ' + this.transformCount + ' transforms';
+            console.log('RenderBenchmark...' + result);
+            this.setState({result});
+          }}>
+          <HeavyContent onRender={() => this.renderCount++} />
+        </ViewTransformer>
+        <Text style={styles.result}>
+          {this.state.result}
+        </Text>
+      </View>
+    );
+  }
+}
+
+class HeavyContent extends Component {
+
+  render() {
+    this.props.onRender();
+    let cells = [];
+    for (let i = 0; i < CELL_COUNT; i++) {
+      cells.push(
+        <View key={i} style={[styles.cell, {backgroundColor: i % 2 ? '#efefef' : '#cccccc'}]} />
+      );
+    }
+    return (
+      <View style={styles.container}>
+        {cells}
+      </View>
+    );
+  }
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    backgroundColor: '#F5FCFF'
+  },
+  cell: {
+    width: 18,
+    height: 18
+  },
+  result: {
+    textAlign: 'center',
+    color: '#333333',
+    margin: 10
+  }
+});
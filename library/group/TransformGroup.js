@@ -0,0 +1,203 @@
+'use strict';
+
+const IDENTITY = {
+  scale: 1,
+  translateX: 0,
+  translateY: 0,
+  rotate: 0
+};
+
+function mappingOf(member) {
+  return Object.assign({}, IDENTITY, member.props.transformGroupMapping);
+}
+
+/**
+ * The group transform as member, with its mapping, shows it.
+ * @param transform
+ * @param mapping
+ * @returns {{scale, translateX, translateY, rotate}}
+ */
+function toMember(transform, mapping) {
+  return {
+    scale: transform.scale * mapping.scale,
+    translateX: transform.translateX + mapping.translateX,
+    translateY: transform.translateY + mapping.translateY,
+    rotate: transform.rotate + mapping.rotate
+  };
+}
+
+/**
+ * The inverse of toMember.
+ * @param transform
+ * @param mapping
+ * @returns {{scale, translateX, translateY, rotate}}
+ */
+function fromMember(transform, mapping) {
+  return {
+    scale: transform.scale / mapping.scale,
+    translateX: transform.translateX - mapping.translateX,
+    translateY: transform.translateY - mapping.translateY,
+    rotate: transform.rotate - mapping.rotate
+  };
+}
+
+const MAX_PENDING_ECHOES = 10;
+
+function sameTransform(a, b) {
+  return a.scale === b.scale && a.translateX === b.translateX && a.translateY === b.translateY && a.rotate === b.rotate;
+}
+
+/**
+ * Links ViewTransformers so that they pan, zoom and rotate in lockstep, e.g. before/after images side by side.
+ * Pass the same instance as the transformGroup prop of every member. Whatever transforms one member,
+ * a gesture, an animation or a method, is applied to the others in the same frame without re-entering the group.
+ */
+export default class TransformGroup {
+
+  constructor() {
+    this.members = [];
+    this.transform = null; //in group space, null until a member is transformed
+    this.publishing = false;
+    this.settling = false;
+    this.echoes = new Map(); //controlled member -> transforms sent to it that its parent has not passed back yet
+  }
+
+  /**
+   * Run callback without the members it transforms or settles publishing or settling back to the group.
+   * @param callback
+   */
+  silently(callback) {
+    let {publishing, settling} = this;
+    this.publishing = this.settling = true;
+    try {
+      callback();
+    } finally {
+      this.publishing = publishing;
+      this.settling = settling;
+    }
+  }
+
+  /**
+   * Transform member like the group, through updateTransform so that a controlled member is only notified.
+   * @param member
+   */
+  applyTo(member) {
+    let transform = toMember(this.transform, mappingOf(member));
+    if (member.props.transform) {
+      let echoes = this.echoes.get(member) || [];
+      echoes.push(transform);
+      this.echoes.set(member, echoes.slice(-MAX_PENDING_ECHOES));
+    }
+    member.updateTransform(transform);
+  }
+
+  /**
+   * Whether transform is one the group sent to a controlled member, which its parent passes back maybe frames later.
+   * @param member
+   * @param transform
+   * @returns {boolean}
+   */
+  isEcho(member, transform) {
+    let echoes = this.echoes.get(member) || [];
+    for (let i = 0; i < echoes.length; i++) {
+      if (sameTransform(echoes[i], transform)) {
+        echoes.splice(0, i + 1);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Called by a ViewTransformer when it mounts with this group.
+   * @param member
+   */
+  add(member) {
+    if (this.members.indexOf(member) !== -1) {
+      return;
+    }
+    this.members.push(member);
+    if (this.transform) {
+      //sync the new member alone, the others keep their animations
+      this.silently(() => {
+        this.applyTo(member);
+        member.transformSettled();
+      });
+    }
+  }
+
+  /**
+   * Called by a ViewTransformer when it unmounts or leaves this group.
+   * @param member
+   */
+  remove(member) {
+    let index = this.members.indexOf(member);
+    if (index !== -1) {
+      this.members.splice(index, 1);
+    }
+    this.echoes.delete(member);
+  }
+
+  /**
+   * Called by a ViewTransformer whenever its transform is applied.
+   * @param source the member whose transform changed, or null to transform all members
+   * @param transform the transform of source, or the group transform if source is null
+   */
+  publish(source, transform) {
+    if (this.publishing || (source && this.isEcho(source, transform))) {
+      return; //a member applying the group transform
+    }
+    this.transform = source ? fromMember(transform, mappingOf(source)) : transform;
+
+    this.silently(() => {
+      this.members.forEach((member) => {
+        if (member !== source) {
+          member.cancelAnimation(); //the source drives the group now, stop animations and flings
+          this.applyTo(member);
+        }
+      });
+    });
+  }
+
+  /**
+   * Called by a ViewTransformer when its transform settles, which settles the others too.
+   * @param source the member whose transform settled, or null to settle all members
+   */
+  settle(source) {
+    if (this.settling) {
+      return; //a member settling with the group
+    }
+    this.silently(() => {
+      this.members.forEach((member) => {
+        if (member !== source) {
+          member.transformSettled();
+        }
+      });
+    });
+  }
+
+  /**
+   * Whether a member is moving the group, whose members only settle when it ends.
+   * @returns {boolean}
+   */
+  isMoving() {
+    return this.publishing || this.members.some((member) => member.isMoving());
+  }
+
+  /**
+   * The transform of the group, which a member with no mapping has.
+   * @returns {{scale, translateX, translateY, rotate}}
+   */
+  getTransform() {
+    return this.transform && Object.assign({}, this.transform);
+  }
+
+  /**
+   * Immediately transform all members.
+   * @param transform {scale, translateX, translateY, rotate}, missing fields keep their current values
+   */
+  setTransform(transform) {
+    this.publish(null, Object.assign({}, IDENTITY, this.transform, transform));
+    this.settle(null);
+  }
+}
@@ -0,0 +1,174 @@
+'use strict';
+
+jest.mock('react', () => require('../../transform/__tests__/harness/ReactMock'), {virtual: true});
+jest.mock('react-native', () => require('../../transform/__tests__/harness/ReactNativeMock'), {virtual: true});
+jest.mock('react-native-gesture-responder', () => require('../../transform/__tests__/harness/GestureResponderMock'));
+
+import TransformGroup from '../TransformGroup';
+import ViewTransformer from '../../transform/ViewTransformer';
+import GestureDriver, {
+  mountTransformer, setProps, transformOf, setUpHarness
+} from '../../transform/__tests__/harness/GestureDriver';
+
+describe('TransformGroup', () => {
+
+  let group, left, right;
+
+  setUpHarness();
+
+  beforeEach(() => {
+    group = new TransformGroup();
+  });
+
+  afterEach(() => {
+    left && left.componentWillUnmount();
+    right && right.componentWillUnmount();
+  });
+
+  it('moves every member with a gesture on one of them', () => {
+    let onViewTransformed = jest.fn();
+    left = mountTransformer(ViewTransformer, {maxScale: 3, transformGroup: group});
+    right = mountTransformer(ViewTransformer, {maxScale: 3, transformGroup: group, onViewTransformed});
+
+    new GestureDriver(left).pinch({x: 100, y: 300}, 100, 200, {hold: 200});
+    jest.runAllTimers();
+    expect(transformOf(left).scale).toBeCloseTo(2, 6);
+    expect(transformOf(right)).toEqual(transformOf(left));
+    expect(group.getTransform()).toEqual(transformOf(left));
+
+    //each change of the source is applied once, without feeding back
+    let calls = onViewTransformed.mock.calls.length;
+    new GestureDriver(right).pan({x: 200, y: 400}, 30, 0, {steps: 3, release: false});
+    expect(onViewTransformed.mock.calls.length).toBe(calls + 3);
+    expect(transformOf(left).translateX).toBeCloseTo(transformOf(right).translateX, 6);
+  });
+
+  it('maps the transform of each member', () => {
+    left = mountTransformer(ViewTransformer, {maxScale: 3, transformGroup: group});
+    right = mountTransformer(ViewTransformer, {
+      maxScale: 6,
+      transformGroup: group,
+      transformGroupMapping: {scale: 2, translateX: 10}
+    });
+    left.updateTransform({scale: 1.5, translateX: 20});
+    expect(transformOf(right)).toEqual({scale: 3, translateX: 30, translateY: 0, rotate: 0});
+
+    right.updateTransform({scale: 4, translateX: 0});
+    expect(transformOf(left)).toEqual({scale: 2, translateX: -10, translateY: 0, rotate: 0});
+  });
+
+  it('stops the animations of the other members', () => {
+    left = mountTransformer(ViewTransformer, {maxScale: 3, transformGroup: group});
+    right = mountTransformer(ViewTransformer, {maxScale: 3, transformGroup: group});
+    let zooming = right.zoomTo(3);
+    jest.advanceTimersByTime(50);
+    new GestureDriver(left).pan({x: 200, y: 400}, 10, 0, {release: false});
+    return expect(zooming).rejects.toThrow('cancelled');
+  });
+
+  it('stops the fling of another member touched meanwhile', () => {
+    let onFlingEnd = jest.fn();
+    left = mountTransformer(ViewTransformer, {maxScale: 3, transformGroup: group, onFlingEnd});
+    right = mountTransformer(ViewTransformer, {maxScale: 3, transformGroup: group});
+    left.updateTransform({scale: 2});
+    new GestureDriver(left).fling({x: 200, y: 400}, -1, 0);
+    jest.advanceTimersByTime(50);
+
+    //a finger resting on the other member
+    let driver = new GestureDriver(right);
+    driver.touchDown([{x: 200, y: 400}]);
+    driver.moveTo([{x: 200, y: 400}]);
+    expect(onFlingEnd).toHaveBeenCalledTimes(1);
+    let translateX = transformOf(right).translateX;
+    for (let i = 0; i < 30; i++) {
+      driver.moveTo([{x: 200, y: 400}]);
+    }
+    expect(transformOf(right).translateX).toBe(translateX);
+    expect(transformOf(left).translateX).toBe(translateX);
+
+    driver.release();
+    jest.runAllTimers();
+    expect(right.getAvailableTranslateSpace().right).toBeGreaterThanOrEqual(0);
+  });
+
+  it('syncs a member joining and forgets an unmounted one', () => {
+    left = mountTransformer(ViewTransformer, {maxScale: 3, transformGroup: group});
+    group.setTransform({scale: 2});
+    right = mountTransformer(ViewTransformer, {maxScale: 3, transformGroup: group});
+    expect(transformOf(right).scale).toBe(2);
+
+    right.componentWillUnmount();
+    left.updateTransform({scale: 3});
+    expect(transformOf(right).scale).toBe(2);
+    right = null;
+  });
+
+  it('syncs a joining member without disturbing the others', () => {
+    let onViewTransformed = jest.fn();
+    left = mountTransformer(ViewTransformer, {maxScale: 3, transformGroup: group, onViewTransformed});
+    let zooming = left.zoomTo(3);
+    jest.advanceTimersByTime(50);
+    let calls = onViewTransformed.mock.calls.length;
+
+    right = mountTransformer(ViewTransformer, {maxScale: 3, transformGroup: group});
+    expect(transformOf(right)).toEqual(transformOf(left));
+    expect(onViewTransformed.mock.calls.length).toBe(calls);
+
+    jest.runAllTimers();
+    expect(transformOf(right).scale).toBeCloseTo(3, 6);
+    return expect(zooming).resolves.toEqual(expect.objectContaining({scale: 3}));
+  });
+
+  it('notifies controlled members through onTransformChange', () => {
+    let passBack = [];
+    let onTransformChange = jest.fn((transform) => passBack.push(transform));
+    left = mountTransformer(ViewTransformer, {maxScale: 3, transformGroup: group});
+    right = mountTransformer(ViewTransformer, {
+      maxScale: 3, transformGroup: group, transform: {scale: 1}, onTransformChange
+    });
+    let zooming = left.zoomTo(2);
+    jest.advanceTimersByTime(50);
+    expect(onTransformChange).toHaveBeenCalled();
+    expect(onTransformChange.mock.calls[onTransformChange.mock.calls.length - 1][0].scale).toBeCloseTo(
+      transformOf(left).scale, 6
+    );
+
+    //the parent passing the transforms back frames later does not feed back into the group
+    passBack.forEach((transform) => setProps(right, {transform}));
+    jest.runAllTimers();
+    return expect(zooming).resolves.toEqual(expect.objectContaining({scale: 2}));
+  });
+
+  it('settles the other members with the source', () => {
+    let items = {};
+    let transformStorage = {
+      getItem: () => Promise.resolve(null),
+      setItem: jest.fn((key, value) => {
+        items[key] = value;
+        return Promise.resolve();
+      })
+    };
+    left = mountTransformer(ViewTransformer, {maxScale: 3, transformGroup: group});
+    right = mountTransformer(ViewTransformer, {
+      maxScale: 3,
+      transformGroup: group,
+      enableAccessibilityActions: true,
+      transformStorage,
+      transformStorageKey: 'after'
+    });
+    return Promise.resolve().then(() => Promise.resolve()).then(() => {
+      jest.spyOn(right, 'setState');
+      let driver = new GestureDriver(left);
+      driver.pinch({x: 200, y: 400}, 100, 200, {hold: 200, release: false});
+      expect(transformOf(right).scale).toBeCloseTo(2, 6);
+      expect(right.setState).not.toHaveBeenCalled();
+      expect(transformStorage.setItem).not.toHaveBeenCalled();
+
+      driver.release();
+      jest.runAllTimers();
+      expect(right.render().props.accessibilityValue).toEqual({text: '200%'});
+      expect(transformStorage.setItem).toHaveBeenCalled();
+      expect(JSON.parse(items.after).scale).toBeCloseTo(2, 6);
+    });
+  });
+});
@@ -1,5 +1,12 @@
 'use strict';
 
 import ViewTransformer from './transform/ViewTransformer';
+import TransformablePager from './pager/TransformablePager';
+import TiledImageTransformer from './tiled/TiledImageTransformer';
+import TransformTransition from './transition/TransformTransition';
+import TransformGroup from './group/TransformGroup';
+import * as TransformUtils from './transform/TransformUtils';
 
-export default ViewTransformer;
\ No newline at end of file
+export {TransformablePager, TiledImageTransformer, TransformTransition, TransformGroup, TransformUtils};
+
+export default ViewTransformer;
@@ -0,0 +1,337 @@
+'use strict';
+
+import React from 'react';
+import {
+  View,
+  Animated,
+  Easing
+} from 'react-native';
+
+import {createResponder} from 'react-native-gesture-responder';
+import ViewTransformer from '../transform/ViewTransformer';
+
+const PAGING_VELOCITY_THRESHOLD = 0.3; //pixels per millisecond
+const EDGE_TOLERANCE = 1;
+
+/**
+ * A horizontal pager whose pages are ViewTransformers, e.g. a photo gallery.
+ * A pan is handed off to the pager once the current page reaches an edge, and every page keeps its own transform.
+ */
+export default class TransformablePager extends React.Component {
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      currentPage: props.initialPage,
+
+      //layout
+      width: 0,
+      height: 0
+    };
+
+    this._scrollOffset = 0;
+    this.animatedTranslateX = new Animated.Value(0);
+    this.animator = new Animated.Value(0);
+
+    this.transformers = {}; //page index -> mounted ViewTransformer
+    this.transformerRefs = {}; //page index -> ref callback, kept to avoid re-attaching refs on every render
+    this.pageTransforms = {}; //page index -> last transform, restored when the page is rendered again
+    this.paging = false;
+  }
+
+  componentWillMount() {
+    this.gestureResponder = createResponder({
+      onStartShouldSetResponder: (evt, gestureState) => true,
+      onMoveShouldSetResponderCapture: (evt, gestureState) => true,
+      onResponderGrant: this.onResponderGrant.bind(this),
+      onResponderMove: this.onResponderMove.bind(this),
+      onResponderRelease: this.onResponderRelease.bind(this),
+      onResponderTerminate: this.onResponderRelease.bind(this),
+      onResponderTerminationRequest: (evt, gestureState) => false,
+      onResponderSingleTapConfirmed: (evt, gestureState) => {
+        this.props.onSingleTapConfirmed && this.props.onSingleTapConfirmed(this.state.currentPage);
+      }
+    });
+  }
+
+  componentWillUnmount() {
+    this.animator.stopAnimation();
+  }
+
+  render() {
+    let pageWidth = this.state.width;
+    let pages = [];
+    let first = Math.max(0, this.state.currentPage - this.props.offscreenPageLimit);
+    let last = Math.min(this.props.pages.length - 1, this.state.currentPage + this.props.offscreenPageLimit);
+    if (pageWidth > 0) {
+      for (let i = first; i <= last; i++) {
+        pages.push(
+          <ViewTransformer
+            key={'page#' + i}
+            ref={this.transformerRef(i)}
+            {...this.props.transformerProps}
+            enableTransform={false}
+            onViewTransformed={(transform) => this.onPageTransformed(i, transform)}
+            style={{
+              position: 'absolute',
+              left: i * (pageWidth + this.props.pageMargin),
+              top: 0,
+              width: pageWidth,
+              height: this.state.height
+            }}>
+            {this.props.renderPage(this.props.pages[i], i)}
+          </ViewTransformer>
+        );
+      }
+    }
+
+    return (
+      <View
+        {...this.props}
+        {...this.gestureResponder}
+        style={[{overflow: 'hidden'}, this.props.style]}
+        onLayout={this.onLayout.bind(this)}>
+        <Animated.View
+          style={{
+            flex: 1,
+            transform: [{translateX: this.animatedTranslateX}]
+          }}>
+          {pages}
+        </Animated.View>
+      </View>
+    );
+  }
+
+  onLayout(e) {
+    const {width, height} = e.nativeEvent.layout;
+    if (width !== this.state.width || height !== this.state.height) {
+      this.setState({width, height});
+      this.scrollTo(this.state.currentPage * (width + this.props.pageMargin), width);
+    }
+
+    this.props.onLayout && this.props.onLayout(e);
+  }
+
+  transformerRef(index) {
+    if (!this.transformerRefs[index]) {
+      this.transformerRefs[index] = (transformer) => this.onTransformerRef(index, transformer);
+    }
+    return this.transformerRefs[index];
+  }
+
+  onTransformerRef(index, transformer) {
+    if (transformer) {
+      if (!this.transformers[index] && this.pageTransforms[index]) {
+        transformer.forceUpdateTransform(this.pageTransforms[index]);
+      }
+      this.transformers[index] = transformer;
+    } else {
+      delete this.transformers[index];
+    }
+  }
+
+  onPageTransformed(index, transform) {
+    this.pageTransforms[index] = transform;
+    this.props.transformerProps && this.props.transformerProps.onViewTransformed
+    && this.props.transformerProps.onViewTransformed(transform);
+  }
+
+  currentTransformer() {
+    return this.transformers[this.state.currentPage];
+  }
+
+  pageOffset(index) {
+    return index * (this.state.width + this.props.pageMargin);
+  }
+
+  onResponderGrant(evt, gestureState) {
+    this.animator.stopAnimation();
+    //a new gesture starting in between two pages continues paging
+    this.paging = this._scrollOffset !== this.pageOffset(this.state.currentPage);
+    let transformer = this.currentTransformer();
+    if (!this.paging && transformer) {
+      transformer.onResponderGrant(evt, gestureState);
+    }
+  }
+
+  onResponderMove(evt, gestureState) {
+    let transformer = this.currentTransformer();
+    if (!this.paging && (!transformer || this.shouldStartPaging(transformer, gestureState))) {
+      this.paging = true;
+      //the page gets no release, end its pan now so that its next gesture starts afresh
+      transformer && transformer.endGesture(gestureState);
+    }
+
+    if (this.paging) {
+      let dx = gestureState.moveX - gestureState.previousMoveX;
+      let minOffset = 0;
+      let maxOffset = this.pageOffset(this.props.pages.length - 1);
+      if (this._scrollOffset - dx < minOffset || this._scrollOffset - dx > maxOffset) {
+        dx /= 3; //resist over pulling at the first and the last page
+      }
+      this.scrollTo(this._scrollOffset - dx);
+    } else {
+      transformer.onResponderMove(evt, gestureState);
+    }
+  }
+
+  onResponderRelease(evt, gestureState) {
+    let transformer = this.currentTransformer();
+    if (!this.paging) {
+      transformer && transformer.onResponderRelease(evt, gestureState);
+      return;
+    }
+
+    this.paging = false;
+    transformer && transformer.animateBounce();
+
+    let page = Math.round(this._scrollOffset / this.pageOffset(1));
+    let currentOffset = this.pageOffset(this.state.currentPage);
+    if (gestureState.vx < -PAGING_VELOCITY_THRESHOLD && this._scrollOffset > currentOffset) {
+      page = this.state.currentPage + 1;
+    } else if (gestureState.vx > PAGING_VELOCITY_THRESHOLD && this._scrollOffset < currentOffset) {
+      page = this.state.currentPage - 1;
+    }
+    this.scrollToPage(page);
+  }
+
+  /**
+   * Hand a single finger horizontal pan off to the pager when the current page can not move that way.
+   * @param transformer
+   * @param gestureState
+   * @returns {boolean}
+   */
+  shouldStartPaging(transformer, gestureState) {
+    if (gestureState.numberActiveTouches > 1) {
+      return false;
+    }
+    let dx = gestureState.moveX - gestureState.previousMoveX;
+    let dy = gestureState.moveY - gestureState.previousMoveY;
+    if (Math.abs(dx) <= Math.abs(dy)) {
+      return false;
+    }
+
+    let space = transformer.getAvailableTranslateSpace();
+    if (dx > 0) {
+      return space.left <= EDGE_TOLERANCE;
+    }
+    return space.right <= EDGE_TOLERANCE;
+  }
+
+  scrollTo(offset, width) {
+    this._scrollOffset = offset;
+    this.animatedTranslateX.setValue(-offset);
+
+    let pageSpan = (width || this.state.width) + this.props.pageMargin;
+    if (pageSpan > 0) {
+      let position = Math.floor(offset / pageSpan);
+      this.props.onPageScroll && this.props.onPageScroll({
+        position: position,
+        offset: offset / pageSpan - position
+      });
+    }
+  }
+
+  // Above are private functions. Do not use them if you don't known what you are doing.
+  // ***********************************************************************************
+  // Below are public functions. Feel free to use them.
+
+
+  /**
+   * Animate to the page at index.
+   * @param index
+   * @param immediate true to jump without animation
+   */
+  scrollToPage(index, immediate) {
+    index = Math.max(0, Math.min(index, this.props.pages.length - 1));
+    let fromOffset = this._scrollOffset;
+    let toOffset = this.pageOffset(index);
+
+    if (index !== this.state.currentPage) {
+      this.setState({currentPage: index});
+      this.props.onPageSelected && this.props.onPageSelected(index);
+    }
+
+    if (immediate) {
+      this.scrollTo(toOffset);
+      return;
+    }
+
+    this.animator.removeAllListeners();
+    this.animator.setValue(0);
+    this.animator.addListener((state) => {
+      this.scrollTo(fromOffset + (toOffset - fromOffset) * state.value);
+    });
+    Animated.timing(this.animator, {
+      toValue: 1,
+      duration: 200,
+      easing: Easing.out(Easing.ease)
+    }).start();
+  }
+
+  getCurrentPage() {
+    return this.state.currentPage;
+  }
+
+  /**
+   * The ViewTransformer of the page at index, if it is rendered.
+   * @param index
+   * @returns {ViewTransformer}
+   */
+  getTransformer(index) {
+    return this.transformers[index];
+  }
+}
+
+TransformablePager.propTypes = {
+  /**
+   * Data of every page, passed to renderPage.
+   */
+  pages: React.PropTypes.array.isRequired,
+
+  /**
+   * (page, index) => the views transformed in the page at index.
+   */
+  renderPage: React.PropTypes.func.isRequired,
+
+  /**
+   * Default is 0
+   */
+  initialPage: React.PropTypes.number,
+
+  /**
+   * Space between two pages. Default is 0.
+   */
+  pageMargin: React.PropTypes.number,
+
+  /**
+   * Number of pages rendered on each side of the current page. Default is 1.
+   */
+  offscreenPageLimit: React.PropTypes.number,
+
+  /**
+   * Props passed to the ViewTransformer of every page, e.g. {maxScale: 3}.
+   */
+  transformerProps: React.PropTypes.object,
+
+  /**
+   * Called with the index of the newly selected page.
+   */
+  onPageSelected: React.PropTypes.func,
+
+  /**
+   * Called with {position, offset} while scrolling, position being the index of the page on the left.
+   */
+  onPageScroll: React.PropTypes.func,
+
+  /**
+   * Called with the index of the current page.
+   */
+  onSingleTapConfirmed: React.PropTypes.func
+};
+TransformablePager.defaultProps = {
+  initialPage: 0,
+  pageMargin: 0,
+  offscreenPageLimit: 1,
+  transformerProps: {}
+};
@@ -0,0 +1,183 @@
+'use strict';
+
+jest.mock('react', () => require('../../transform/__tests__/harness/ReactMock'), {virtual: true});
+jest.mock('react-native', () => require('../../transform/__tests__/harness/ReactNativeMock'), {virtual: true});
+jest.mock('react-native-gesture-responder', () => require('../../transform/__tests__/harness/GestureResponderMock'));
+
+import TransformablePager from '../TransformablePager';
+import ViewTransformer from '../../transform/ViewTransformer';
+import GestureDriver, {transformOf, setUpHarness} from '../../transform/__tests__/harness/GestureDriver';
+
+describe('TransformablePager', () => {
+
+  let pager, driver, mounted;
+
+  //400x800 pages, without margin
+  function mount(props) {
+    pager = new TransformablePager(Object.assign({}, TransformablePager.defaultProps, {
+      pages: ['a', 'b', 'c', 'd', 'e'],
+      renderPage: (page) => page
+    }, props));
+    pager.componentWillMount();
+    pager.onLayout({nativeEvent: {layout: {x: 0, y: 0, width: 400, height: 800}}});
+    mounted = {};
+    renderPages();
+    driver = new GestureDriver(pager);
+  }
+
+  /**
+   * Mount the pages the pager renders and unmount the others, attaching refs like React does.
+   */
+  function renderPages() {
+    let elements = pager.render().props.children[0].props.children[0];
+    let keys = elements.map((element) => element.props.key);
+    Object.keys(mounted).forEach((key) => {
+      if (keys.indexOf(key) === -1) {
+        let page = mounted[key];
+        delete mounted[key];
+        page.element.props.ref(null);
+        page.transformer.componentWillUnmount();
+      }
+    });
+    elements.forEach((element) => {
+      if (mounted[element.props.key]) {
+        return;
+      }
+      let transformer = new ViewTransformer(Object.assign({}, ViewTransformer.defaultProps, element.props));
+      transformer.componentWillMount();
+      element.props.ref(transformer);
+      transformer.onLayout({nativeEvent: {layout: {x: 0, y: 0, width: 400, height: 800}}});
+      mounted[element.props.key] = {element, transformer};
+    });
+  }
+
+  function settle() {
+    driver.settle();
+    renderPages();
+  }
+
+  setUpHarness();
+
+  afterEach(() => {
+    pager && pager.componentWillUnmount();
+    Object.keys(mounted).forEach((key) => mounted[key].transformer.componentWillUnmount());
+  });
+
+  it('pages when the current page is at its edge', () => {
+    let onPageSelected = jest.fn();
+    let onPageScroll = jest.fn();
+    mount({onPageSelected, onPageScroll});
+    driver.pan({x: 300, y: 400}, -300, 0, {release: false});
+    expect(pager._scrollOffset).toBeCloseTo(300, 6);
+    expect(onPageScroll).toHaveBeenLastCalledWith({position: 0, offset: 0.75});
+
+    driver.release();
+    settle();
+    expect(pager.getCurrentPage()).toBe(1);
+    expect(onPageSelected).toHaveBeenCalledWith(1);
+    expect(pager._scrollOffset).toBeCloseTo(400, 6);
+  });
+
+  it('pans a zoomed page before handing off at its edge', () => {
+    mount({transformerProps: {maxScale: 3}});
+    let page = pager.getTransformer(0);
+    page.updateTransform({scale: 2});
+
+    driver.pan({x: 300, y: 400}, -100, 0, {release: false});
+    expect(transformOf(page).translateX).toBeCloseTo(-50, 6);
+    expect(pager._scrollOffset).toBe(0);
+
+    //the page reaches its right edge after 100 more pixels, the rest pages
+    for (let i = 1; i <= 6; i++) {
+      driver.moveTo([{x: 200 - 50 * i, y: 400}]);
+    }
+    expect(transformOf(page).translateX).toBeCloseTo(-100, 6);
+    expect(pager._scrollOffset).toBeCloseTo(200, 6);
+
+    driver.release();
+    settle();
+    expect(pager.getCurrentPage()).toBe(1);
+    expect(transformOf(page).translateX).toBeCloseTo(-100, 6);
+  });
+
+  it('ends the gesture of the page when paging takes over', () => {
+    let onPanStart = jest.fn();
+    let onPanEnd = jest.fn();
+    mount({transformerProps: {maxScale: 3, onPanStart, onPanEnd}});
+    let page = pager.getTransformer(0);
+    page.updateTransform({scale: 2});
+
+    driver.pan({x: 300, y: 400}, -300, 0, {steps: 6, release: false});
+    expect(pager._scrollOffset).toBeGreaterThan(0);
+    expect(onPanStart).toHaveBeenCalledTimes(1);
+    expect(onPanEnd).toHaveBeenCalledTimes(1);
+    expect(page.activeGesture).toBeUndefined();
+    driver.release();
+    settle();
+    expect(onPanEnd).toHaveBeenCalledTimes(1);
+
+    //back on the first page, its next pan is a new gesture
+    pager.scrollToPage(0, true);
+    renderPages();
+    driver.pan({x: 300, y: 400}, 50, 0);
+    expect(onPanStart).toHaveBeenCalledTimes(2);
+    expect(onPanEnd).toHaveBeenCalledTimes(2);
+  });
+
+  it('picks the page by the release velocity', () => {
+    mount();
+    //slow and short: back to the current page
+    driver.pan({x: 300, y: 400}, -100, 0, {dt: 100});
+    settle();
+    expect(pager.getCurrentPage()).toBe(0);
+
+    //fast and short: the next page
+    driver.pan({x: 300, y: 400}, -100, 0);
+    settle();
+    expect(pager.getCurrentPage()).toBe(1);
+
+    //fast and short the other way: the previous page
+    driver.pan({x: 100, y: 400}, 100, 0);
+    settle();
+    expect(pager.getCurrentPage()).toBe(0);
+  });
+
+  it('stays within the first and the last page', () => {
+    mount();
+    driver.pan({x: 100, y: 400}, 300, 0);
+    settle();
+    expect(pager.getCurrentPage()).toBe(0);
+    expect(pager._scrollOffset).toBe(0);
+
+    pager.scrollToPage(10);
+    settle();
+    expect(pager.getCurrentPage()).toBe(4);
+    expect(pager._scrollOffset).toBeCloseTo(1600, 6);
+  });
+
+  it('renders offscreenPageLimit pages on each side', () => {
+    mount({initialPage: 2});
+    expect(Object.keys(mounted).sort()).toEqual(['page#1', 'page#2', 'page#3']);
+
+    mount({initialPage: 2, offscreenPageLimit: 0});
+    expect(Object.keys(mounted)).toEqual(['page#2']);
+
+    mount({initialPage: 0, offscreenPageLimit: 2});
+    expect(Object.keys(mounted).sort()).toEqual(['page#0', 'page#1', 'page#2']);
+  });
+
+  it('restores the transform of a page rendered again', () => {
+    mount({transformerProps: {maxScale: 3}});
+    pager.getTransformer(0).updateTransform({scale: 2, translateX: 50});
+
+    pager.scrollToPage(2, true);
+    renderPages();
+    expect(pager.getTransformer(0)).toBeUndefined();
+
+    pager.scrollToPage(0, true);
+    renderPages();
+    let page = pager.getTransformer(0);
+    expect(page).toBe(mounted['page#0'].transformer);
+    expect(transformOf(page)).toEqual({scale: 2, translateX: 50, translateY: 0, rotate: 0});
+  });
+});
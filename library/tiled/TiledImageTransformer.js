@@ -0,0 +1,259 @@
+'use strict';
+
+import React from 'react';
+import {
+  Image,
+  PixelRatio
+} from 'react-native';
+
+import ViewTransformer from '../transform/ViewTransformer';
+import {
+  Rect,
+  visibleContentRect
+} from '../transform/TransformUtils';
+
+/**
+ * The highest pyramid level, at which the image has its full size. Level 0 is 1x1 pixel.
+ * @param imageWidth
+ * @param imageHeight
+ * @returns {number}
+ */
+function maxLevelOf(imageWidth, imageHeight) {
+  return Math.ceil(Math.log2(Math.max(imageWidth, imageHeight, 1)));
+}
+
+/**
+ * Size of the image at a pyramid level, halved once per level below the max level.
+ * @param imageWidth
+ * @param imageHeight
+ * @param level
+ * @returns {{width: number, height: number}}
+ */
+function levelSize(imageWidth, imageHeight, level) {
+  let scale = Math.pow(2, level - maxLevelOf(imageWidth, imageHeight));
+  return {
+    width: Math.ceil(imageWidth * scale),
+    height: Math.ceil(imageHeight * scale)
+  };
+}
+
+/**
+ * Tile indexes [first, last] covering [from, to] pixels of a level.
+ * @param from
+ * @param to
+ * @param tileSize
+ * @param levelLength
+ * @returns {[number, number]}
+ */
+function tileRange(from, to, tileSize, levelLength) {
+  let count = Math.ceil(levelLength / tileSize);
+  return [
+    Math.max(0, Math.floor(from / tileSize)),
+    Math.min(count - 1, Math.ceil(to / tileSize) - 1)
+  ];
+}
+
+/**
+ * A ViewTransformer showing a huge image as a DeepZoom style tile pyramid.
+ * Only the tiles of the level matching the current scale that intersect the view are rendered,
+ * on top of the whole image at the level that fits in one tile.
+ */
+export default class TiledImageTransformer extends React.Component {
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      //layout
+      width: 0,
+      height: 0,
+
+      //visible tiles
+      level: -1,
+      columns: [0, -1],
+      rows: [0, -1]
+    };
+
+    this._transform = Object.assign({scale: 1, translateX: 0, translateY: 0, rotate: 0}, props.transform);
+  }
+
+  render() {
+    let tiles = [];
+    let contentRect = this.contentRect();
+    let baseLevel = this.baseLevel();
+    if (this.state.width > 0) {
+      tiles.push(this.renderTile(contentRect, baseLevel, 0, 0));
+      if (this.state.level > baseLevel) {
+        for (let y = this.state.rows[0]; y <= this.state.rows[1]; y++) {
+          for (let x = this.state.columns[0]; x <= this.state.columns[1]; x++) {
+            tiles.push(this.renderTile(contentRect, this.state.level, x, y));
+          }
+        }
+      }
+    }
+
+    return (
+      <ViewTransformer
+        {...this.props}
+        ref={(transformer) => this.transformer = transformer}
+        contentWidth={this.props.imageWidth}
+        contentHeight={this.props.imageHeight}
+        onLayout={this.onLayout.bind(this)}
+        onViewTransformed={this.onViewTransformed.bind(this)}>
+        {tiles}
+      </ViewTransformer>
+    );
+  }
+
+  renderTile(contentRect, level, x, y) {
+    let {tileSize, tileOverlap} = this.props;
+    let size = levelSize(this.props.imageWidth, this.props.imageHeight, level);
+    let left = x * tileSize - (x > 0 ? tileOverlap : 0);
+    let top = y * tileSize - (y > 0 ? tileOverlap : 0);
+    let right = Math.min((x + 1) * tileSize + tileOverlap, size.width);
+    let bottom = Math.min((y + 1) * tileSize + tileOverlap, size.height);
+    let ratio = contentRect.width() / size.width; //level pixels to content view
+
+    return (
+      <Image
+        key={level + '/' + x + '/' + y}
+        source={this.props.getTileSource(level, x, y)}
+        style={{
+          position: 'absolute',
+          left: left * ratio,
+          top: top * ratio,
+          width: (right - left) * ratio,
+          height: (bottom - top) * ratio
+        }} />
+    );
+  }
+
+  onLayout(e) {
+    const {width, height} = e.nativeEvent.layout;
+    if (width !== this.state.width || height !== this.state.height) {
+      //once the transformer has the new layout too
+      this.setState({width, height}, () => this.updateTiles());
+    }
+
+    this.props.onLayout && this.props.onLayout(e);
+  }
+
+  onViewTransformed(transform) {
+    this._transform = transform;
+    this.updateTiles();
+
+    this.props.onViewTransformed && this.props.onViewTransformed(transform);
+  }
+
+  /**
+   * Where the transformer lays out the image, in view coordinates.
+   * @returns {Rect}
+   */
+  contentRect() {
+    if (!this.transformer) {
+      return new Rect(0, 0, this.state.width, this.state.height); //not mounted yet, no tile is rendered
+    }
+    return this.transformer.contentRect();
+  }
+
+  /**
+   * The largest level whose whole image fits in one tile, always rendered below the tiles.
+   * @returns {number}
+   */
+  baseLevel() {
+    let {imageWidth, imageHeight, tileSize} = this.props;
+    let maxLevel = maxLevelOf(imageWidth, imageHeight);
+    let level = Math.floor(maxLevel + Math.log2(tileSize / Math.max(imageWidth, imageHeight)));
+    return Math.max(0, Math.min(level, maxLevel));
+  }
+
+  /**
+   * The smallest level with at least one image pixel per screen pixel at the current scale.
+   * @param contentRect
+   * @returns {number}
+   */
+  levelForScale(contentRect) {
+    let {imageWidth, imageHeight} = this.props;
+    let maxLevel = maxLevelOf(imageWidth, imageHeight);
+    let displayedWidth = contentRect.width() * this._transform.scale * PixelRatio.get();
+    let level = Math.ceil(maxLevel + Math.log2(displayedWidth / imageWidth));
+    return Math.max(0, Math.min(level, maxLevel));
+  }
+
+  /**
+   * Re-render only when the level or the range of visible tiles changes, not on every transform.
+   */
+  updateTiles() {
+    let {width, height} = this.state;
+    if (!(width > 0 && height > 0)) {
+      return;
+    }
+    let contentRect = this.contentRect();
+    let level = this.levelForScale(contentRect);
+    let columns = [0, -1];
+    let rows = [0, -1];
+    let visibleRect = visibleContentRect(new Rect(0, 0, width, height), contentRect, this._transform);
+    if (visibleRect) {
+      let size = levelSize(this.props.imageWidth, this.props.imageHeight, level);
+      let ratio = size.width / contentRect.width(); //content view to level pixels
+      columns = tileRange((visibleRect.left - contentRect.left) * ratio, (visibleRect.right - contentRect.left) * ratio,
+        this.props.tileSize, size.width);
+      rows = tileRange((visibleRect.top - contentRect.top) * ratio, (visibleRect.bottom - contentRect.top) * ratio,
+        this.props.tileSize, size.height);
+    }
+
+    let state = this.state;
+    if (level !== state.level
+      || columns[0] !== state.columns[0] || columns[1] !== state.columns[1]
+      || rows[0] !== state.rows[0] || rows[1] !== state.rows[1]) {
+      this.setState({level, columns, rows});
+    }
+  }
+
+  // Above are private functions. Do not use them if you don't known what you are doing.
+  // ***********************************************************************************
+  // Below are public functions. Feel free to use them.
+
+
+  /**
+   * The ViewTransformer showing the tiles, for its methods like zoomToRect.
+   * @returns {ViewTransformer}
+   */
+  getTransformer() {
+    return this.transformer;
+  }
+}
+
+TiledImageTransformer.propTypes = {
+  ...ViewTransformer.propTypes,
+
+  /**
+   * Width of the image at full resolution, in pixels.
+   */
+  imageWidth: React.PropTypes.number.isRequired,
+
+  /**
+   * Height of the image at full resolution, in pixels.
+   */
+  imageHeight: React.PropTypes.number.isRequired,
+
+  /**
+   * (level, x, y) => the Image source of a tile, e.g. {uri: folder + level + '/' + x + '_' + y + '.jpg'}.
+   * Level 0 is 1x1 pixel, each level doubles the size up to the full resolution.
+   */
+  getTileSource: React.PropTypes.func.isRequired,
+
+  /**
+   * Size of a tile in pixels, without overlap. Default is 256.
+   */
+  tileSize: React.PropTypes.number,
+
+  /**
+   * Pixels a tile shares with each of its neighbours. Default is 0.
+   */
+  tileOverlap: React.PropTypes.number
+};
+TiledImageTransformer.defaultProps = {
+  ...ViewTransformer.defaultProps,
+  tileSize: 256,
+  tileOverlap: 0
+};
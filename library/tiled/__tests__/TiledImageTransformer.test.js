@@ -0,0 +1,95 @@
+'use strict';
+
+jest.mock('react', () => require('../../transform/__tests__/harness/ReactMock'), {virtual: true});
+jest.mock('react-native', () => require('../../transform/__tests__/harness/ReactNativeMock'), {virtual: true});
+jest.mock('react-native-gesture-responder', () => require('../../transform/__tests__/harness/GestureResponderMock'));
+
+import TiledImageTransformer from '../TiledImageTransformer';
+import ViewTransformer from '../../transform/ViewTransformer';
+import {mountTransformer} from '../../transform/__tests__/harness/GestureDriver';
+
+describe('TiledImageTransformer', () => {
+
+  let tiled, transformer;
+
+  //8192x4096 pixels: full size at level 13, one 256x128 tile at level 8
+  function mount(props) {
+    tiled = new TiledImageTransformer(Object.assign({}, TiledImageTransformer.defaultProps, {
+      imageWidth: 8192,
+      imageHeight: 4096,
+      maxScale: 8,
+      getTileSource: (level, x, y) => ({uri: level + '/' + x + '_' + y})
+    }, props));
+    //mount the inner ViewTransformer, which lays out and reports its transform to the TiledImageTransformer
+    transformer = mountTransformer(ViewTransformer, tiled.render().props);
+  }
+
+  function renderedTiles() {
+    return tiled.render().props.children[0].map((tile) => tile.props.source.uri);
+  }
+
+  it('renders nothing before layout', () => {
+    tiled = new TiledImageTransformer(Object.assign({}, TiledImageTransformer.defaultProps, {
+      imageWidth: 8192,
+      imageHeight: 4096,
+      getTileSource: () => null
+    }));
+    expect(tiled.render().props.children[0]).toEqual([]);
+  });
+
+  it('picks the level matching the screen pixels', () => {
+    mount();
+    //400 points at pixel ratio 2 need 800 pixels: level 10 is 1024 wide
+    expect(tiled.state.level).toBe(10);
+    let tiles = renderedTiles();
+    expect(tiles[0]).toBe('8/0_0');
+    expect(tiles.length).toBe(1 + 4 * 2);
+
+    tiled.onViewTransformed({scale: 4, translateX: 0, translateY: 0, rotate: 0});
+    expect(tiled.state.level).toBe(12);
+  });
+
+  it('starts at the level of initialTransform', () => {
+    mount({initialTransform: {scale: 4}});
+    expect(transformer.currentTransform().scale).toBe(4);
+    expect(tiled.state.level).toBe(12);
+  });
+
+  it('renders only the visible tiles', () => {
+    mount();
+    tiled.onViewTransformed({scale: 4, translateX: 0, translateY: 0, rotate: 0});
+    //content x 150...250 of 400 is visible, which is 1536...2560 of 4096 pixels at level 12
+    expect(tiled.state.columns).toEqual([6, 9]);
+    expect(tiled.state.rows).toEqual([0, 7]);
+    let tiles = renderedTiles();
+    expect(tiles.length).toBe(1 + 4 * 8);
+    expect(tiles).toContain('12/6_0');
+    expect(tiles).not.toContain('12/5_0');
+  });
+
+  it('positions tiles in content view coordinates', () => {
+    mount({tileOverlap: 1});
+    let tile = tiled.renderTile(tiled.contentRect(), 10, 1, 0);
+    let ratio = 400 / 1024;
+    expect(tile.props.style.left).toBeCloseTo(255 * ratio, 6);
+    expect(tile.props.style.width).toBeCloseTo(258 * ratio, 6);
+    expect(tile.props.style.top).toBe(0);
+    expect(tile.props.style.height).toBeCloseTo(257 * ratio, 6);
+  });
+
+  it('lays out the tiles in the content rect of the transformer', () => {
+    mount({contentInset: {top: 100, bottom: 100}});
+    let contentRect = tiled.contentRect();
+    expect(contentRect).toEqual(transformer.contentRect());
+    expect([contentRect.left, contentRect.top, contentRect.right, contentRect.bottom]).toEqual([0, 300, 400, 500]);
+    let tile = tiled.renderTile(contentRect, 8, 0, 0);
+    expect(tile.props.style.width).toBeCloseTo(400, 6);
+  });
+
+  it('does not re-render while the visible tiles stay the same', () => {
+    mount();
+    let setState = jest.spyOn(tiled, 'setState');
+    tiled.onViewTransformed({scale: 1.1, translateX: 2, translateY: 0, rotate: 0});
+    expect(setState).not.toHaveBeenCalled();
+  });
+});
@@ -45,8 +45,24 @@ export default class Rect {
   }
 
 
+  /**
+   * The overlapping part of both rects, or null if they do not overlap.
+   * @param rect
+   * @returns {Rect}
+   */
+  intersect(rect:Rect) {
+    let left = Math.max(this.left, rect.left);
+    let top = Math.max(this.top, rect.top);
+    let right = Math.min(this.right, rect.right);
+    let bottom = Math.min(this.bottom, rect.bottom);
+    if (left >= right || top >= bottom) {
+      return null;
+    }
+    return new Rect(left, top, right, bottom);
+  }
+
   equals(rect:Rect) {
-    return this.left === rect.left && this.top === rect.top && this.right === rect.right && this.bottom && rect.bottom;
+    return this.left === rect.left && this.top === rect.top && this.right === rect.right && this.bottom === rect.bottom;
   }
 
   isValid() {
@@ -0,0 +1,68 @@
+'use strict';
+
+import React from 'react';
+import {View} from 'react-native';
+
+/**
+ * The layer drawn above the transformed content of a ViewTransformer.
+ * It re-renders on every transform change, so keep what renderOverlay returns small, e.g. markers and labels.
+ */
+export default class TransformOverlay extends React.Component {
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      transform: props.transform
+    };
+  }
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.transform !== this.props.transform) {
+      this.setState({transform: nextProps.transform});
+    }
+  }
+
+  /**
+   * Called by the ViewTransformer whenever its transform changes.
+   * @param transform
+   */
+  update(transform) {
+    this.setState({transform});
+  }
+
+  render() {
+    return (
+      <View
+        pointerEvents={'box-none'}
+        style={{
+          position: 'absolute',
+          left: 0,
+          top: 0,
+          right: 0,
+          bottom: 0
+        }}>
+        {this.props.renderOverlay({
+          transform: this.state.transform,
+          contentToView: this.props.contentToView
+        })}
+      </View>
+    );
+  }
+}
+
+TransformOverlay.propTypes = {
+  /**
+   * The current transform of the ViewTransformer.
+   */
+  transform: React.PropTypes.object.isRequired,
+
+  /**
+   * Maps a point of the untransformed content to the view.
+   */
+  contentToView: React.PropTypes.func.isRequired,
+
+  /**
+   * ({transform, contentToView}) => the views of the overlay.
+   */
+  renderOverlay: React.PropTypes.func.isRequired
+};
@@ -5,11 +5,12 @@ import Rect from './Rect';
 export {Rect};
 
 export class Transform {
-  constructor(scale, translateX, translateY, pivot) {
+  constructor(scale, translateX, translateY, pivot, rotate) {
     this.scale = scale;
     this.translateX = translateX;
     this.translateY = translateY;
     this.pivot = pivot;
+    this.rotate = rotate || 0; //in degrees, clockwise
   }
 }
 
@@ -31,11 +32,17 @@ function isValidRect(rect) {
 
 function isValidTransform(transform) {
   if (transform && isValidNumber(transform.scale) && isValidNumber(transform.translateX) && isValidNumber(transform.translateY)) {
-    return true;
+    if (transform.rotate === undefined || transform.rotate === null || isValidNumber(transform.rotate)) {
+      return true;
+    }
   }
   return false;
 }
 
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
 export function fitCenterRect(contentAspectRatio, containerRect:Rect) {
   let w = containerRect.width();
   let h = containerRect.height();
@@ -55,10 +62,72 @@ export function fitCenterRect(contentAspectRatio, containerRect:Rect) {
   );
 }
 
+/**
+ * Place content of the given size in the center of containerRect.
+ * @param contentWidth
+ * @param contentHeight
+ * @param containerRect
+ * @param fitMode 'contain', 'cover', 'fitWidth' or 'none'. Default is 'contain'.
+ * @returns {Rect}
+ */
+export function fitRect(contentWidth, contentHeight, containerRect:Rect, fitMode) {
+  let widthScale = containerRect.width() / contentWidth;
+  let heightScale = containerRect.height() / contentHeight;
+  let scale;
+  switch (fitMode) {
+    case 'cover':
+      scale = Math.max(widthScale, heightScale);
+      break;
+    case 'fitWidth':
+      scale = widthScale;
+      break;
+    case 'none':
+      scale = 1;
+      break;
+    case 'contain':
+    default:
+      scale = Math.min(widthScale, heightScale);
+      break;
+  }
+
+  let w = contentWidth * scale;
+  let h = contentHeight * scale;
+  return new Rect(
+    containerRect.centerX() - w / 2,
+    containerRect.centerY() - h / 2,
+    containerRect.centerX() + w / 2,
+    containerRect.centerY() + h / 2
+  );
+}
 
 /**
- * The React Native transform system use the center of the view as the pivot when scaling.
- * The translations are applied before scaling.
+ * Bounding rect of the given rect rotated around its center.
+ * @param rect
+ * @param degrees
+ * @returns {Rect}
+ */
+export function rotatedRect(rect:Rect, degrees) {
+  if (!degrees) {
+    return rect.copy();
+  }
+  let radians = toRadians(degrees);
+  let cos = Math.abs(Math.cos(radians));
+  let sin = Math.abs(Math.sin(radians));
+  let width = rect.width() * cos + rect.height() * sin;
+  let height = rect.width() * sin + rect.height() * cos;
+
+  return new Rect(
+    rect.centerX() - width / 2,
+    rect.centerY() - height / 2,
+    rect.centerX() + width / 2,
+    rect.centerY() + height / 2
+  );
+}
+
+/**
+ * The React Native transform system use the center of the view as the pivot when scaling and rotating.
+ * The rotation is applied first, then the translations, then scaling.
+ * When the transform contains a rotation, the bounding rect of the rotated result is returned.
  * @param rect
  * @param transform
  * @returns {*}
@@ -74,6 +143,7 @@ export function transformedRect(rect:Rect, transform:Transform) {
   let scale = transform.scale;
   let translateX = transform.translateX;
   let translateY = transform.translateY;
+  let rotate = transform.rotate || 0;
 
   let pivot = transform.pivot;
   if (pivot === undefined || pivot === null) {
@@ -82,12 +152,12 @@ export function transformedRect(rect:Rect, transform:Transform) {
     let centerX = rect.centerX() + translateX * scale;
     let centerY = rect.centerY() + translateY * scale;
 
-    return new Rect(
+    return rotatedRect(new Rect(
       centerX - width / 2,
       centerY - height / 2,
       centerX + width / 2,
       centerY + height / 2
-    );
+    ), rotate);
   } else {
     let pivotX = pivot.x;
     let pivotY = pivot.y;
@@ -97,32 +167,39 @@ export function transformedRect(rect:Rect, transform:Transform) {
 
     //first make the center still
     let resultRect = transformedRect(rect, {
-      scale, translateX, translateY
+      scale, translateX, translateY, rotate
     });
 
-    //the pivot moved during scaling, now move it back
-    let dx = (scale - 1) * (pivotX - resultRect.centerX());
-    let dy = (scale - 1) * (pivotY - resultRect.centerY());
-    return resultRect.offset(-dx, -dy);
+    //the pivot moved during scaling and rotating, now move it back
+    let radians = toRadians(rotate);
+    let cos = Math.cos(radians);
+    let sin = Math.sin(radians);
+    let vx = resultRect.centerX() - pivotX;
+    let vy = resultRect.centerY() - pivotY;
+    let dx = pivotX + scale * (vx * cos - vy * sin) - resultRect.centerX();
+    let dy = pivotY + scale * (vx * sin + vy * cos) - resultRect.centerY();
+    return resultRect.offset(dx, dy);
   }
 }
 
 /**
  * Calculate the transform from fromRect to toRect
  * @param fromRect
- * @param toRect
+ * @param toRect the bounding rect of fromRect after it is rotated by the given degrees
+ * @param rotate optional rotation in degrees
  * @returns {Transform}
  */
-export function getTransform(fromRect, toRect) {
-  let scale = toRect.width() / fromRect.width();
+export function getTransform(fromRect, toRect, rotate) {
+  let scale = toRect.width() / rotatedRect(fromRect, rotate).width();
   let translateX = (toRect.centerX() - fromRect.centerX()) / scale;
   let translateY = (toRect.centerY() - fromRect.centerY()) / scale;
 
-  return new Transform(scale, translateX, translateY);
+  return new Transform(scale, translateX, translateY, undefined, rotate);
 }
 
 /**
  * Align edges of the rect with the viewport to avoid unnecessary blank space. NO scaling is performed here.
+ * For rotated content, pass the bounding rect returned by transformedRect.
  * @param rect
  * @param viewPortRect
  * @returns {*|{line, column}|{column, line}|{x}}
@@ -153,6 +230,62 @@ export function alignedRect(rect:Rect, viewPortRect:Rect) {
   return rect.copy().offset(dx, dy);
 }
 
+/**
+ * Where a point of the untransformed content is drawn after the transform, consistent with transformedRect.
+ * The pivot of the transform is ignored, the center of contentRect is used.
+ * @param point {x, y}
+ * @param contentRect the untransformed content
+ * @param transform
+ * @returns {{x: number, y: number}}
+ */
+export function contentToView(point, contentRect:Rect, transform:Transform) {
+  let radians = toRadians(transform.rotate || 0);
+  let vx = point.x - contentRect.centerX();
+  let vy = point.y - contentRect.centerY();
+  return {
+    x: contentRect.centerX() + transform.scale * (transform.translateX + vx * Math.cos(radians) - vy * Math.sin(radians)),
+    y: contentRect.centerY() + transform.scale * (transform.translateY + vx * Math.sin(radians) + vy * Math.cos(radians))
+  };
+}
+
+/**
+ * The inverse of contentToView: which point of the untransformed content is drawn at a point of the view.
+ * @param point {x, y}
+ * @param contentRect the untransformed content
+ * @param transform
+ * @returns {{x: number, y: number}}
+ */
+export function viewToContent(point, contentRect:Rect, transform:Transform) {
+  let radians = -toRadians(transform.rotate || 0);
+  let vx = (point.x - contentRect.centerX()) / transform.scale - transform.translateX;
+  let vy = (point.y - contentRect.centerY()) / transform.scale - transform.translateY;
+  return {
+    x: contentRect.centerX() + vx * Math.cos(radians) - vy * Math.sin(radians),
+    y: contentRect.centerY() + vx * Math.sin(radians) + vy * Math.cos(radians)
+  };
+}
+
+/**
+ * The part of the untransformed content drawn inside viewPortRect, or null if none is.
+ * When rotated, this is the bounding rect of the visible part.
+ * @param viewPortRect
+ * @param contentRect the untransformed content
+ * @param transform
+ * @returns {Rect}
+ */
+export function visibleContentRect(viewPortRect:Rect, contentRect:Rect, transform:Transform) {
+  let corners = [
+    viewToContent({x: viewPortRect.left, y: viewPortRect.top}, contentRect, transform),
+    viewToContent({x: viewPortRect.right, y: viewPortRect.top}, contentRect, transform),
+    viewToContent({x: viewPortRect.right, y: viewPortRect.bottom}, contentRect, transform),
+    viewToContent({x: viewPortRect.left, y: viewPortRect.bottom}, contentRect, transform)
+  ];
+  let xs = corners.map((corner) => corner.x);
+  let ys = corners.map((corner) => corner.y);
+  let rect = new Rect(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys));
+  return rect.intersect(contentRect);
+}
+
 export function availableTranslateSpace(rect, viewPortRect) {
   return {
     left: viewPortRect.left - rect.left,
@@ -10,7 +10,148 @@ import ReactNative, {
 
 import {createResponder} from 'react-native-gesture-responder';
 import Scroller from 'react-native-scroller';
-import {Rect, Transform, transformedRect, availableTranslateSpace, fitCenterRect, alignedRect, getTransform} from './TransformUtils';
+import TransformOverlay from './TransformOverlay';
+import {
+  Rect,
+  Transform,
+  transformedRect,
+  availableTranslateSpace,
+  fitCenterRect,
+  fitRect,
+  alignedRect,
+  getTransform,
+  viewToContent,
+  contentToView,
+  visibleContentRect
+} from './TransformUtils';
+
+const WHEEL_ZOOM_SPEED = 0.01; //natural log of the scale per wheel pixel
+const WHEEL_LINE_HEIGHT = 16; //pixels per line, for wheel events in lines
+const WHEEL_END_DELAY = 150; //milliseconds without wheel events before bouncing back
+const KEYBOARD_ZOOM_FACTOR = 1.5;
+const KEYBOARD_PAN_RATIO = 0.1; //of the view size
+const EDGE_TOLERANCE = 1;
+const DISMISS_DISTANCE_RATIO = 0.2; //of the height, swiping further dismisses
+const DISMISS_VELOCITY = 1; //pixels per millisecond, flicking faster dismisses
+const DISMISS_PROGRESS_RATIO = 0.5; //of the height, the dismiss progress is 1 when swiped that far
+
+const ACCESSIBILITY_ACTION_LABELS = {
+  zoomIn: 'Zoom in',
+  zoomOut: 'Zoom out',
+  reset: 'Reset zoom',
+  panLeft: 'Pan left',
+  panRight: 'Pan right',
+  panUp: 'Pan up',
+  panDown: 'Pan down'
+};
+
+/**
+ * Angle in degrees of the line between the first two active touches.
+ * @param touchHistory
+ * @param ofCurrent
+ * @returns {*}
+ */
+function touchAngle(touchHistory, ofCurrent) {
+  let touches = touchHistory.touchBank.filter((touchTrack) => {
+    return touchTrack && touchTrack.touchActive;
+  });
+  if (touches.length < 2) {
+    return undefined;
+  }
+  let a = touches[0], b = touches[1];
+  let dx, dy;
+  if (ofCurrent) {
+    dx = b.currentPageX - a.currentPageX;
+    dy = b.currentPageY - a.currentPageY;
+  } else {
+    dx = b.previousPageX - a.previousPageX;
+    dy = b.previousPageY - a.previousPageY;
+  }
+  return Math.atan2(dy, dx) * 180 / Math.PI;
+}
+
+const DEFAULT_PHYSICS = {
+  flingVelocityMultiplier: 1000,
+  flingFriction: 0.03,
+  axisLockRatio: 2,
+  resistance: 'constant',
+  rubberBandCoefficient: 0.55,
+  animationDuration: 200,
+  animationEasing: Easing.inOut(Easing.ease),
+  bounce: 'timing',
+  zoomDeceleration: 0.995,
+  springConfig: {
+    friction: 7,
+    tension: 40
+  }
+};
+
+/**
+ * Keep only the dominant direction when it is ratio times larger than the other one. A falsy ratio disables the lock.
+ * @param dx
+ * @param dy
+ * @param ratio
+ * @returns {{dx: *, dy: *}}
+ */
+function lockAxis(dx, dy, ratio) {
+  if (ratio) {
+    if (Math.abs(dx) > ratio * Math.abs(dy)) {
+      dy = 0;
+    } else if (Math.abs(dy) > ratio * Math.abs(dx)) {
+      dx = 0;
+    }
+  }
+  return {
+    dx, dy
+  };
+}
+
+/**
+ * Derivative of the iOS rubber band curve (1 - 1 / (x * c / d + 1)) * d,
+ * so each move past the edge is damped more the further the content has been pulled.
+ * @param overPull distance already pulled past the edge
+ * @param dimension size of the viewport along the pull
+ * @param coefficient c, 0.55 on iOS
+ * @returns {number} factor applied to the move
+ */
+function rubberBandFactor(overPull, dimension, coefficient) {
+  let x = overPull * coefficient / dimension + 1;
+  return coefficient / (x * x);
+}
+
+/**
+ * The scale after scaling by scaleBy, rubber banded past limit along the same curve as rubberBandFactor:
+ * the overshoot, as a ratio of limit, tends to 1 however far the pinch goes, so the scale stays below twice limit.
+ * The current overshoot is unwound first, so that pinching back in retraces the curve.
+ * @param scale the current scale
+ * @param scaleBy
+ * @param limit the largest scale reached without resistance
+ * @param coefficient slope of the curve at limit, 0.55 on iOS
+ * @returns {number} the new scale
+ */
+function rubberBandScale(scale, scaleBy, limit, coefficient) {
+  let over = Math.min(scale / limit - 1, 0.99);
+  let rawOver = over > 0 ? over / (coefficient * (1 - over)) : over;
+  let target = (1 + rawOver) * scaleBy - 1;
+  if (target > 0) {
+    target = 1 - 1 / (target * coefficient + 1);
+  }
+  return limit * (1 + target);
+}
+
+/**
+ * Pick the transform fields from transform, falling back to those of current.
+ * @param current
+ * @param transform
+ * @returns {{scale, translateX, translateY, rotate}}
+ */
+function mergedTransform(current, transform) {
+  let merged = {};
+  ['scale', 'translateX', 'translateY', 'rotate'].forEach((key) => {
+    merged[key] = typeof transform[key] === 'number' ? transform[key] : current[key];
+  });
+  return merged;
+}
 
 export default class ViewTransformer extends React.Component {
 
@@ -20,11 +161,6 @@ export default class ViewTransformer extends React.Component {
   constructor(props) {
     super(props);
     this.state = {
-      //transform state
-      scale: 1,
-      translateX: 0,
-      translateY: 0,
-
       //animation state
       animator: new Animated.Value(0),
 
@@ -33,23 +169,59 @@ export default class ViewTransformer extends React.Component {
       height: 0,
       pageX: 0,
       pageY: 0,
+
+      //accessibility
+      zoomPercent: 100
     };
+
+    //The transform is kept out of state and applied through Animated.Values,
+    //so gestures and animations never re-render the children.
+    this._transform = {
+      scale: 1,
+      translateX: 0,
+      translateY: 0,
+      rotate: 0
+    };
+    if (props.transform || props.initialTransform) {
+      //initialTransform is only a first guess, applied and aligned once laid out
+      this._transform = mergedTransform(this._transform, props.transform || props.initialTransform);
+    }
+    this.animatedTransform = {
+      scale: new Animated.Value(this._transform.scale),
+      translateX: new Animated.Value(this._transform.translateX),
+      translateY: new Animated.Value(this._transform.translateY),
+      rotate: new Animated.Value(this._transform.rotate)
+    };
+    this.animatedRotate = this.animatedTransform.rotate.interpolate({
+      inputRange: [0, 360],
+      outputRange: ['0deg', '360deg']
+    });
     this._viewPortRect = new Rect(); //A holder to avoid new too much
+    this.layoutCallbacks = []; //run once the size of the view is known
 
     this.cancelAnimation = this.cancelAnimation.bind(this);
     this.contentRect = this.contentRect.bind(this);
     this.transformedContentRect = this.transformedContentRect.bind(this);
     this.animate = this.animate.bind(this);
+    this.contentToView = this.contentToView.bind(this);
 
     this.scroller = new Scroller(true, (dx, dy, scroller) =>{
       if (dx === 0 && dy === 0 && scroller.isFinished()) {
+        if (this.flingCancelled) {
+          this.flingCancelled = false; //stopped by cancelAnimation, nothing to bounce back from
+          return;
+        }
+        if (this.flinging) {
+          this.flinging = false;
+          this.props.onFlingEnd && this.props.onFlingEnd(this.gestureEvent('fling'));
+        }
         this.animateBounce();
         return;
       }
 
       this.updateTransform({
-        translateX: this.state.translateX + dx / this.state.scale,
-        translateY: this.state.translateY + dy / this.state.scale
+        translateX: this._transform.translateX + dx / this._transform.scale,
+        translateY: this._transform.translateY + dy / this._transform.scale
       })
     });
   }
@@ -59,77 +231,176 @@ export default class ViewTransformer extends React.Component {
     return this._viewPortRect;
   }
 
+  /**
+   * The viewport shrunk by contentInset. Content is fitted, aligned, centered and flung within it.
+   * @returns {Rect}
+   */
+  boundsRect() {
+    let rect = this.viewPortRect();
+    let inset = this.props.contentInset;
+    if (!inset) {
+      return rect.copy();
+    }
+    return new Rect(
+      rect.left + (inset.left || 0),
+      rect.top + (inset.top || 0),
+      rect.right - (inset.right || 0),
+      rect.bottom - (inset.bottom || 0)
+    );
+  }
+
+  hasContentSize() {
+    return this.props.contentWidth > 0 && this.props.contentHeight > 0;
+  }
+
   contentRect() {
-    let rect = this.viewPortRect().copy();
-    if (this.props.contentAspectRatio && this.props.contentAspectRatio > 0) {
+    let rect = this.boundsRect();
+    if (this.hasContentSize()) {
+      rect = fitRect(this.props.contentWidth, this.props.contentHeight, rect, this.props.fitMode);
+    } else if (this.props.contentAspectRatio && this.props.contentAspectRatio > 0) {
       rect = fitCenterRect(this.props.contentAspectRatio, rect);
     }
     return rect;
   }
 
   transformedContentRect() {
-    let rect = transformedRect(this.viewPortRect(), this.currentTransform());
-    if (this.props.contentAspectRatio && this.props.contentAspectRatio > 0) {
-      rect = fitCenterRect(this.props.contentAspectRatio, rect);
-    }
-    return rect;
+    return transformedRect(this.contentRect(), this.currentTransform());
   }
 
   currentTransform() {
-    return new Transform(this.state.scale, this.state.translateX, this.state.translateY);
+    return new Transform(this._transform.scale, this._transform.translateX, this._transform.translateY, undefined, this._transform.rotate);
   }
 
   componentWillMount() {
     this.gestureResponder = createResponder({
       onStartShouldSetResponder: (evt, gestureState) => true,
-      onMoveShouldSetResponderCapture: (evt, gestureState) => true,
+      onMoveShouldSetResponderCapture: (evt, gestureState) => {
+        this.lastGestureState = gestureState;
+        return this.shouldCaptureGesture(gestureState);
+      },
       //onMoveShouldSetResponder: this.handleMove,
       onResponderMove: this.onResponderMove.bind(this),
       onResponderGrant: this.onResponderGrant.bind(this),
       onResponderRelease: this.onResponderRelease.bind(this),
       onResponderTerminate: this.onResponderRelease.bind(this),
-      onResponderTerminationRequest: (evt, gestureState) => false, //Do not allow parent view to intercept gesture
+      onResponderTerminationRequest: () => {
+        //Allow parent view to intercept gesture only when the policy lets it go.
+        //gesture-responder does not pass the gestureState here, so use the last one seen.
+        return !!this.lastGestureState && !this.shouldCaptureGesture(this.lastGestureState);
+      },
       onResponderSingleTapConfirmed: (evt, gestureState) => {
-        this.props.onSingleTapConfirmed && this.props.onSingleTapConfirmed();
+        this.props.onSingleTapConfirmed && this.props.onSingleTapConfirmed(this.gestureEvent(
+          'singleTap', gestureState.x0 - this.state.pageX, gestureState.y0 - this.state.pageY
+        ));
       }
     });
+
+    if ((this.props.initialRect || this.props.initialTransform) && !this.props.transform) {
+      this.whenLaidOut(() => this.updateTransform(this.defaultTransform()));
+    }
+    this.restoreStoredTransform();
+    this.props.transformGroup && this.props.transformGroup.add(this);
   }
 
-  componentDidUpdate(prevProps, prevState) {
-    this.props.onViewTransformed && this.props.onViewTransformed({
-      scale: this.state.scale,
-      translateX: this.state.translateX,
-      translateY: this.state.translateY
-    });
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.transformGroup !== this.props.transformGroup) {
+      this.props.transformGroup && this.props.transformGroup.remove(this);
+      nextProps.transformGroup && nextProps.transformGroup.add(this);
+    }
+    if (nextProps.transform && nextProps.transform !== this.props.transform) {
+      //not settled: in controlled mode every frame of a gesture or an animation comes back through here
+      this.applyTransform(mergedTransform(this._transform, nextProps.transform));
+      this.isIdle() && this.updateAccessibilityValue();
+    }
   }
 
   componentWillUnmount() {
     this.cancelAnimation();
+    clearTimeout(this.wheelEndTimer);
+    this.props.transformGroup && this.props.transformGroup.remove(this);
   }
 
   render() {
     let gestureResponder = this.gestureResponder;
+    let inputHandlers = {};
     if (!this.props.enableTransform) {
       gestureResponder = {};
+    } else {
+      //react-native-web only
+      if (this.props.enableWheel) {
+        inputHandlers.onWheel = this.onWheel.bind(this);
+      }
+      if (this.props.enableMouseDrag) {
+        inputHandlers.onMouseDown = this.onMouseDown.bind(this);
+        inputHandlers.onMouseMove = this.onMouseMove.bind(this);
+        inputHandlers.onMouseUp = this.onMouseUp.bind(this);
+        inputHandlers.onMouseLeave = this.onMouseUp.bind(this);
+      }
+      if (this.props.enableKeyboard) {
+        inputHandlers.focusable = true;
+        inputHandlers.onKeyDown = this.onKeyDown.bind(this);
+      }
+    }
+
+    let accessibilityProps = {};
+    if (this.props.enableTransform && this.props.enableAccessibilityActions) {
+      let labels = Object.assign({}, ACCESSIBILITY_ACTION_LABELS, this.props.accessibilityActionLabels);
+      accessibilityProps = {
+        accessible: true,
+        accessibilityRole: 'adjustable',
+        accessibilityValue: {text: this.state.zoomPercent + '%'},
+        accessibilityActions: [
+          {name: 'increment'},
+          {name: 'decrement'},
+          ...Object.keys(labels).map((name) => ({name, label: labels[name]}))
+        ],
+        onAccessibilityAction: this.onAccessibilityAction.bind(this)
+      };
     }
 
+    let layoutStyle = {flex: 1};
+    if (this.hasContentSize() || this.props.contentInset) {
+      //size the content view to the content, or to the bounds the children fit themselves in,
+      //its center stays at the center of the bounds
+      let layoutRect = this.hasContentSize() ? this.contentRect() : this.boundsRect();
+      layoutStyle = {
+        position: 'absolute',
+        left: layoutRect.left,
+        top: layoutRect.top,
+        width: layoutRect.width(),
+        height: layoutRect.height()
+      };
+    }
+
+    //the transform props are models, not the style transform array View takes
+    let {transform, onTransformChange, initialTransform, initialRect, ...viewProps} = this.props;
+
     return (
       <View
-        {...this.props}
+        {...viewProps}
         {...gestureResponder}
+        {...inputHandlers}
+        {...accessibilityProps}
         ref={'innerViewRef'}
         onLayout={this.onLayout.bind(this)}>
-        <View
+        <Animated.View
           style={{
-            flex: 1,
+            ...layoutStyle,
             transform: [
-                  {scale: this.state.scale},
-                  {translateX: this.state.translateX},
-                  {translateY: this.state.translateY}
+                  {scale: this.animatedTransform.scale},
+                  {translateX: this.animatedTransform.translateX},
+                  {translateY: this.animatedTransform.translateY},
+                  {rotate: this.animatedRotate}
                 ]
           }}>
           {this.props.children}
-        </View>
+        </Animated.View>
+        {this.props.renderOverlay &&
+        <TransformOverlay
+          ref={(overlay) => this.overlay = overlay}
+          transform={this._transform}
+          contentToView={this.contentToView}
+          renderOverlay={this.props.renderOverlay} />}
       </View>
     );
   }
@@ -137,7 +408,18 @@ export default class ViewTransformer extends React.Component {
   onLayout(e) {
     const {width, height} = e.nativeEvent.layout;
     if(width !== this.state.width || height !== this.state.height) {
-      this.setState({width, height});
+      //keep the same part of the content visible, e.g. when the device rotates
+      let corner = this.props.layoutChangeBehavior;
+      let anchor = corner !== 'none' && this.transformAnchor(corner);
+      this.setState({width, height}, () => {
+        if (anchor) {
+          this.cancelAnimation();
+          this.updateTransform(this.anchorTransform(anchor, corner));
+        }
+        let callbacks = this.layoutCallbacks;
+        this.layoutCallbacks = [];
+        callbacks.forEach((callback) => callback());
+      });
     }
     this.measureLayout();
 
@@ -159,13 +441,89 @@ export default class ViewTransformer extends React.Component {
     }).bind(this));
   }
 
+  whenLaidOut(callback) {
+    if (this.state.width > 0 && this.state.height > 0) {
+      callback();
+    } else {
+      this.layoutCallbacks.push(callback);
+    }
+  }
+
+  restoreStoredTransform() {
+    let {transformStorage, transformStorageKey} = this.props;
+    if (!transformStorage || !transformStorageKey || this.props.transform) {
+      return;
+    }
+    this.restoringTransform = true;
+    transformStorage.getItem(transformStorageKey).then((value) => {
+      return value && this.restoreTransformSnapshot(JSON.parse(value));
+    }).catch((e) => {
+      console.log('restoreStoredTransform...' + e);
+    }).then(() => {
+      this.restoringTransform = false;
+    });
+  }
+
+  storeTransform() {
+    let {transformStorage, transformStorageKey} = this.props;
+    if (!transformStorage || !transformStorageKey || this.restoringTransform || this.props.transform) {
+      return;
+    }
+    let snapshot = this.getTransformSnapshot();
+    if (!snapshot) {
+      return;
+    }
+    transformStorage.setItem(transformStorageKey, JSON.stringify(snapshot)).catch((e) => {
+      console.log('storeTransform...' + e);
+    });
+  }
+
   onResponderGrant(evt, gestureState) {
+    this.responding = true;
+    //react-native-web also gives the mouse to the responder, which then takes over a drag the mouse handlers started
+    this.mouseDown = null;
     this.props.onTransformStart && this.props.onTransformStart();
-    this.setState({responderGranted: true});
     this.measureLayout();
+    this.resetZoomVelocity();
+  }
+
+  /**
+   * Whether this view keeps the gesture, or lets parents like a ScrollView have it.
+   * @param gestureState
+   * @returns {boolean}
+   */
+  shouldCaptureGesture(gestureState) {
+    if (this.props.shouldCaptureGesture) {
+      return !!this.props.shouldCaptureGesture(gestureState, this.getAvailableTranslateSpace());
+    }
+    if (gestureState.numberActiveTouches > 1) {
+      return true; //always keep pinches
+    }
+
+    switch (this.props.gestureCapturePolicy) {
+      case 'whenZoomed':
+        return Math.abs(this._transform.scale - 1) > 0.01;
+      case 'whenPannable':
+        return this.hasRoomToPan(gestureState.dx, gestureState.dy);
+      case 'always':
+      default:
+        return true;
+    }
+  }
+
+  hasRoomToPan(dx, dy) {
+    if (dx === 0 && dy === 0) {
+      return true;
+    }
+    let space = this.getAvailableTranslateSpace();
+    if (Math.abs(dx) > Math.abs(dy)) {
+      return dx > 0 ? space.left > 0 : space.right > 0;
+    }
+    return dy > 0 ? space.top > 0 : space.bottom > 0;
   }
 
   onResponderMove(evt, gestureState) {
+    this.lastGestureState = gestureState;
     this.cancelAnimation();
 
     let dx = gestureState.moveX - gestureState.previousMoveX;
@@ -181,44 +539,208 @@ export default class ViewTransformer extends React.Component {
     }
 
     let transform = {};
-    if (gestureState.previousPinch && gestureState.pinch && this.props.enableScale) {
-      let scaleBy = gestureState.pinch / gestureState.previousPinch;
-      let pivotX = gestureState.moveX - this.state.pageX;
-      let pivotY = gestureState.moveY - this.state.pageY;
-
-
-      let rect = transformedRect(transformedRect(this.contentRect(), this.currentTransform()), new Transform(
-        scaleBy, dx, dy,
-        {
-          x: pivotX,
-          y: pivotY
-        }
-      ));
-      transform = getTransform(this.contentRect(), rect);
-    } else {
-      if (Math.abs(dx) > 2 * Math.abs(dy)) {
-        dy = 0;
-      } else if (Math.abs(dy) > 2 * Math.abs(dx)) {
-        dx = 0;
+    let pivotX = gestureState.moveX - this.state.pageX;
+    let pivotY = gestureState.moveY - this.state.pageY;
+    if (gestureState.previousPinch && gestureState.pinch && (this.props.enableScale || this.props.enableRotate)) {
+      this.switchGesture('pinch', pivotX, pivotY, gestureState);
+      let scaleBy = 1;
+      if (this.props.enableScale) {
+        scaleBy = this.resistedScaleBy(gestureState.pinch / gestureState.previousPinch);
+      }
+      let rotateBy = 0;
+      if (this.props.enableRotate) {
+        rotateBy = this.rotationDelta(evt.touchHistory);
+      }
+      transform = this.scaledTransform(scaleBy, rotateBy, dx, dy, pivotX, pivotY);
+      this.trackZoomVelocity(scaleBy, pivotX, pivotY);
+    } else if (this.shouldSwipeToDismiss(gestureState)) {
+      this.switchGesture('dismiss', pivotX, pivotY, gestureState);
+      if (this.dismissStartTranslateY === undefined) {
+        this.dismissStartTranslateY = this._transform.translateY;
       }
-      transform.translateX = this.state.translateX + dx / this.state.scale;
-      transform.translateY = this.state.translateY + dy / this.state.scale;
+      transform.translateY = this._transform.translateY
+        + (gestureState.moveY - gestureState.previousMoveY) / this._transform.scale;
+    } else {
+      this.switchGesture('pan', pivotX, pivotY, gestureState);
+      let d = lockAxis(dx, dy, this.physics().axisLockRatio);
+      dx = d.dx;
+      dy = d.dy;
+      transform.translateX = this._transform.translateX + dx / this._transform.scale;
+      transform.translateY = this._transform.translateY + dy / this._transform.scale;
     }
 
     this.updateTransform(transform);
     return true;
   }
 
+  /**
+   * The current transform scaled and rotated around a pivot, then translated, all in view coordinates.
+   * @param scaleBy
+   * @param rotateBy degrees
+   * @param dx
+   * @param dy
+   * @param pivotX
+   * @param pivotY
+   * @returns {{scale, translateX, translateY, rotate}}
+   */
+  scaledTransform(scaleBy, rotateBy, dx, dy, pivotX, pivotY) {
+    //work on the unrotated rect so that the rotation delta is applied only once
+    let rect = transformedRect(transformedRect(this.contentRect(), new Transform(
+      this._transform.scale, this._transform.translateX, this._transform.translateY
+    )), new Transform(
+      scaleBy, dx, dy,
+      {
+        x: pivotX,
+        y: pivotY
+      },
+      rotateBy
+    ));
+    let transform = getTransform(this.contentRect(), rect, rotateBy);
+    transform.rotate = this._transform.rotate + rotateBy;
+    return transform;
+  }
+
+  /**
+   * A vertical single finger swipe dismisses instead of panning when the content has no vertical room that way.
+   * Decided when the gesture starts, so that a pan never turns into a dismiss.
+   * @param gestureState
+   * @returns {boolean}
+   */
+  shouldSwipeToDismiss(gestureState) {
+    if (this.activeGesture === 'dismiss') {
+      return true;
+    }
+    if (!this.props.enableSwipeToDismiss || this.activeGesture || gestureState.numberActiveTouches > 1) {
+      return false;
+    }
+    if (Math.abs(gestureState.dy) <= Math.abs(gestureState.dx)) {
+      return false;
+    }
+    let space = this.getAvailableTranslateSpace();
+    if (gestureState.dy > 0) {
+      return space.top <= EDGE_TOLERANCE;
+    }
+    return space.bottom <= EDGE_TOLERANCE;
+  }
+
+  /**
+   * How far the content is swiped away, from 0 to 1.
+   * @returns {number}
+   */
+  dismissProgress() {
+    let distance = Math.abs(this._transform.translateY - this.dismissStartTranslateY) * this._transform.scale;
+    return Math.min(1, distance / (this.boundsRect().height() * DISMISS_PROGRESS_RATIO));
+  }
+
+  rotationDelta(touchHistory) {
+    let previousAngle = touchAngle(touchHistory, false);
+    let angle = touchAngle(touchHistory, true);
+    if (previousAngle === undefined || angle === undefined) {
+      return 0;
+    }
+    let delta = angle - previousAngle;
+    //take the shortest way around
+    if (delta > 180) {
+      delta -= 360;
+    } else if (delta < -180) {
+      delta += 360;
+    }
+    return delta;
+  }
+
+  /**
+   * Fire the end event of the current gesture and the start event of the new one when the gesture type changes,
+   * e.g. a pan becomes a pinch when a second finger lands.
+   * @param type 'pan', 'pinch' or undefined to end the current gesture
+   * @param x
+   * @param y
+   * @param gestureState
+   */
+  switchGesture(type, x, y, gestureState) {
+    if (this.activeGesture === type) {
+      return;
+    }
+    let event = this.gestureEvent(this.activeGesture, x, y, gestureState.vx, gestureState.vy);
+    if (this.activeGesture === 'pan') {
+      this.props.onPanEnd && this.props.onPanEnd(event);
+    } else if (this.activeGesture === 'pinch') {
+      event.zoomVelocity = this.zoomVelocity;
+      this.props.onPinchEnd && this.props.onPinchEnd(event);
+    }
+
+    this.activeGesture = type;
+    event = this.gestureEvent(type, x, y, gestureState.vx, gestureState.vy);
+    if (type === 'pan') {
+      this.props.onPanStart && this.props.onPanStart(event);
+    } else if (type === 'pinch') {
+      this.props.onPinchStart && this.props.onPinchStart(event);
+    }
+  }
+
+  /**
+   * The object passed to gesture callbacks.
+   * @param type
+   * @param x in view coordinates
+   * @param y in view coordinates
+   * @param vx pixels per millisecond
+   * @param vy pixels per millisecond
+   * @returns {{type: *, x: *, y: *, contentX: *, contentY: *, vx: *, vy: *, transform: *}}
+   */
+  gestureEvent(type, x, y, vx, vy) {
+    let event = {
+      type: type,
+      vx: vx || 0,
+      vy: vy || 0,
+      transform: mergedTransform(this._transform, {})
+    };
+    if (typeof x === 'number' && typeof y === 'number') {
+      let contentPoint = this.viewToContent({x, y});
+      event.x = x;
+      event.y = y;
+      event.contentX = contentPoint.x;
+      event.contentY = contentPoint.y;
+    }
+    return event;
+  }
+
+  /**
+   * End the current gesture, firing its end event, e.g. when a parent like TransformablePager takes the gesture over.
+   * @param gestureState
+   */
+  endGesture(gestureState) {
+    this.responding = false;
+    this.switchGesture(undefined, gestureState.moveX - this.state.pageX, gestureState.moveY - this.state.pageY, gestureState);
+  }
+
   onResponderRelease(evt, gestureState) {
+    let dismissing = this.activeGesture === 'dismiss';
+    this.endGesture(gestureState);
+
     let handled = this.props.onTransformGestureReleased && this.props.onTransformGestureReleased({
-        scale: this.state.scale,
-        translateX: this.state.translateX,
-        translateY: this.state.translateY
+        scale: this._transform.scale,
+        translateX: this._transform.translateX,
+        translateY: this._transform.translateY,
+        rotate: this._transform.rotate
       });
     if (handled) {
+      this.dismissStartTranslateY = undefined; //the handler owns the transform now, the next swipe starts afresh
       return;
     }
 
+    if (dismissing) {
+      let distance = (this._transform.translateY - this.dismissStartTranslateY) * this._transform.scale;
+      let swipedAway = Math.abs(distance) > this.boundsRect().height() * DISMISS_DISTANCE_RATIO
+        || (Math.abs(gestureState.vy) > DISMISS_VELOCITY && gestureState.vy * distance > 0);
+      if (swipedAway && this.props.onDismiss) {
+        //the content stays where it is, it is up to onDismiss to animate it away
+        this.dismissStartTranslateY = undefined;
+        this.props.onDismiss();
+      } else {
+        //the start is kept until the content is back, so that the progress goes down to 0
+        this.animateBounce();
+      }
+      return;
+    }
 
     if (gestureState.doubleTapUp) {
       if (!this.props.enableScale) {
@@ -235,6 +757,8 @@ export default class ViewTransformer extends React.Component {
       }
 
       this.performDoubleTapUp(pivotX, pivotY);
+    } else if (this.props.enableScale && this.hasZoomMomentum()) {
+      this.performZoomFling();
     } else {
       if(this.props.enableTranslate) {
         this.performFling(gestureState.vx, gestureState.vy);
@@ -244,16 +768,224 @@ export default class ViewTransformer extends React.Component {
     }
   }
 
+  /**
+   * Mouse wheel and trackpad input on react-native-web. Ctrl+wheel, which is also how browsers report
+   * trackpad pinches, zooms around the cursor. The plain wheel pans, or zooms if wheelAction is 'zoom'.
+   * @param e
+   */
+  onWheel(e) {
+    let {deltaX, deltaY, deltaMode, ctrlKey, metaKey, pageX, pageY} = e.nativeEvent;
+    if (deltaMode === 1) {
+      deltaX *= WHEEL_LINE_HEIGHT;
+      deltaY *= WHEEL_LINE_HEIGHT;
+    }
+    let zoom = ctrlKey || metaKey || this.props.wheelAction === 'zoom';
+    if (zoom ? !this.props.enableScale : !this.props.enableTranslate) {
+      return;
+    }
+    e.preventDefault && e.preventDefault();
+
+    if (!this.wheelEndTimer) {
+      this.props.onTransformStart && this.props.onTransformStart();
+      this.measureLayout();
+    }
+    this.cancelAnimation();
+
+    clearTimeout(this.wheelEndTimer);
+    this.wheelEndTimer = setTimeout(() => {
+      this.wheelEndTimer = null;
+      this.animateBounce();
+    }, WHEEL_END_DELAY);
+
+    if (zoom) {
+      //a mouse wheel notch is 100 pixels or more, trackpad pinches are a few pixels per event
+      let delta = Math.max(-50, Math.min(deltaY, 50));
+      let scaleBy = this.resistedScaleBy(Math.exp(-delta * WHEEL_ZOOM_SPEED));
+      this.updateTransform(this.scaledTransform(scaleBy, 0, 0, 0, pageX - this.state.pageX, pageY - this.state.pageY));
+    } else {
+      //a flick of the wheel pans far at once, stop it maxOverScrollDistance past the edges like a fling
+      let space = this.getAvailableTranslateSpace();
+      let overScroll = this.props.maxOverScrollDistance;
+      let dx = Math.max(Math.min(-deltaX, Math.max(0, space.left + overScroll)), Math.min(0, -space.right - overScroll));
+      let dy = Math.max(Math.min(-deltaY, Math.max(0, space.top + overScroll)), Math.min(0, -space.bottom - overScroll));
+      this.translateBy(dx, dy);
+    }
+  }
+
+  onMouseDown(e) {
+    if (e.nativeEvent.button !== 0 || !this.props.enableTranslate || this.responding) {
+      return;
+    }
+    this.props.onTransformStart && this.props.onTransformStart();
+    this.measureLayout();
+    this.cancelAnimation();
+    this.mouseDown = {x: e.nativeEvent.pageX, y: e.nativeEvent.pageY};
+    this.switchGesture('pan', this.mouseDown.x - this.state.pageX, this.mouseDown.y - this.state.pageY, {vx: 0, vy: 0});
+  }
+
+  onMouseMove(e) {
+    if (!this.mouseDown) {
+      return;
+    }
+    let {pageX, pageY} = e.nativeEvent;
+    this.translateBy(pageX - this.mouseDown.x, pageY - this.mouseDown.y);
+    this.mouseDown = {x: pageX, y: pageY};
+  }
+
+  onMouseUp(e) {
+    if (!this.mouseDown) {
+      return;
+    }
+    this.mouseDown = null;
+    this.switchGesture(undefined, e.nativeEvent.pageX - this.state.pageX, e.nativeEvent.pageY - this.state.pageY, {vx: 0, vy: 0});
+    this.animateBounce();
+  }
+
+  /**
+   * +/- zoom around the center, arrow keys pan and 0 resets, all animated within the bounds.
+   * @param e
+   */
+  onKeyDown(e) {
+    let action = {
+      '+': 'zoomIn',
+      '=': 'zoomIn',
+      '-': 'zoomOut',
+      '_': 'zoomOut',
+      '0': 'reset',
+      ArrowLeft: 'panLeft',
+      ArrowRight: 'panRight',
+      ArrowUp: 'panUp',
+      ArrowDown: 'panDown'
+    }[e.nativeEvent.key];
+    if (action) {
+      e.preventDefault && e.preventDefault();
+      this.performStep(action);
+    }
+  }
+
+  /**
+   * Screen reader actions. Swiping up and down on the adjustable view zooms in and out.
+   * @param e
+   */
+  onAccessibilityAction(e) {
+    let actionName = e.nativeEvent.actionName;
+    if (actionName === 'increment') {
+      actionName = 'zoomIn';
+    } else if (actionName === 'decrement') {
+      actionName = 'zoomOut';
+    }
+    this.performStep(actionName);
+  }
+
+  /**
+   * Zoom or pan one step, animated within the bounds.
+   * @param action 'zoomIn', 'zoomOut', 'reset', 'panLeft', 'panRight', 'panUp' or 'panDown'
+   */
+  performStep(action) {
+    let boundsRect = this.boundsRect();
+    let panX = boundsRect.width() * KEYBOARD_PAN_RATIO;
+    let panY = boundsRect.height() * KEYBOARD_PAN_RATIO;
+    let promise;
+    switch (action) {
+      case 'zoomIn':
+        promise = this.props.enableScale && this.zoomTo(this._transform.scale * KEYBOARD_ZOOM_FACTOR);
+        break;
+      case 'zoomOut':
+        promise = this.props.enableScale && this.zoomTo(this._transform.scale / KEYBOARD_ZOOM_FACTOR);
+        break;
+      case 'reset':
+        promise = this.reset();
+        break;
+      case 'panLeft':
+        promise = this.props.enableTranslate && this.panBy(panX, 0);
+        break;
+      case 'panRight':
+        promise = this.props.enableTranslate && this.panBy(-panX, 0);
+        break;
+      case 'panUp':
+        promise = this.props.enableTranslate && this.panBy(0, panY);
+        break;
+      case 'panDown':
+        promise = this.props.enableTranslate && this.panBy(0, -panY);
+        break;
+    }
+    //a repeated step cancels the previous animation, which is expected
+    promise && promise.catch(() => {});
+  }
+
+  /**
+   * Called when the transform settles at the end of an animation, rather than on every frame.
+   */
+  transformSettled() {
+    this.updateAccessibilityValue();
+    this.storeTransform();
+    this.props.transformGroup && this.props.transformGroup.settle(this);
+  }
+
+  /**
+   * Whether a gesture, the wheel, an animation or a fling is moving the transform, which settles when they end.
+   * @returns {boolean}
+   */
+  isMoving() {
+    return !!(this.responding || this.mouseDown || this.wheelEndTimer || this.animation) || !this.scroller.isFinished();
+  }
+
+  /**
+   * Whether nothing moves the transform, of this view or of its group.
+   * @returns {boolean}
+   */
+  isIdle() {
+    let group = this.props.transformGroup;
+    return !this.isMoving() && !(group && group.isMoving());
+  }
+
+  /**
+   * Re-render with the zoom percentage announced by screen readers.
+   * Only called when the transform settles or is set while idle, not for every frame of a gesture or an animation,
+   * so that the children are not re-rendered during them.
+   */
+  updateAccessibilityValue() {
+    if (!this.props.enableAccessibilityActions) {
+      return;
+    }
+    let zoomPercent = Math.round(this._transform.scale * 100);
+    if (zoomPercent !== this.state.zoomPercent) {
+      this.setState({zoomPercent});
+    }
+  }
+
+  /**
+   * Translate by dx, dy in view coordinates, resisted like a pan.
+   * @param dx
+   * @param dy
+   */
+  translateBy(dx, dy) {
+    if (this.props.enableResistance) {
+      let d = this.applyResistance(dx, dy);
+      dx = d.dx;
+      dy = d.dy;
+    }
+    this.updateTransform({
+      translateX: this._transform.translateX + dx / this._transform.scale,
+      translateY: this._transform.translateY + dy / this._transform.scale
+    });
+  }
+
 
 
 
 
 
   performFling(vx, vy) {
+    if (this.props.reduceMotion) {
+      this.animateBounce();
+      return;
+    }
+
     let startX = 0;
     let startY = 0;
     let maxX, minX, maxY, minY;
-    let availablePanDistance = availableTranslateSpace(this.transformedContentRect(), this.viewPortRect());
+    let availablePanDistance = availableTranslateSpace(this.transformedContentRect(), this.boundsRect());
     if (vx > 0) {
       minX = 0;
       if (availablePanDistance.left > 0) {
@@ -285,26 +1017,130 @@ export default class ViewTransformer extends React.Component {
       }
     }
 
-    vx *= 1000; //per second
-    vy *= 1000;
-    if (Math.abs(vx) > 2 * Math.abs(vy)) {
-      vy = 0;
-    } else if (Math.abs(vy) > 2 * Math.abs(vx)) {
-      vx = 0;
+    let physics = this.physics();
+    vx *= physics.flingVelocityMultiplier; //per second
+    vy *= physics.flingVelocityMultiplier;
+    let v = lockAxis(vx, vy, physics.axisLockRatio);
+
+    //react-native-scroller has no setter for the friction
+    this.scroller.mFlingFriction = physics.flingFriction;
+    this.flingCancelled = false;
+    if (v.dx !== 0 || v.dy !== 0) {
+      this.flinging = true;
+      this.props.onFlingStart && this.props.onFlingStart(this.gestureEvent(
+        'fling', undefined, undefined, v.dx / physics.flingVelocityMultiplier, v.dy / physics.flingVelocityMultiplier
+      ));
+    }
+    this.scroller.fling(startX, startY, v.dx, v.dy, minX, maxX, minY, maxY);
+  }
+
+  resetZoomVelocity() {
+    this.zoomVelocity = 0; //natural log of the scale per millisecond
+    this.lastPinchTime = undefined;
+    this.lastPinchPivot = undefined;
+  }
+
+  trackZoomVelocity(scaleBy, pivotX, pivotY) {
+    let now = Date.now();
+    if (this.lastPinchTime !== undefined && now > this.lastPinchTime) {
+      let velocity = Math.log(scaleBy) / (now - this.lastPinchTime);
+      //smooth out the jitter of touch events
+      this.zoomVelocity = 0.8 * velocity + 0.2 * this.zoomVelocity;
     }
+    this.lastPinchTime = now;
+    this.lastPinchPivot = {
+      x: pivotX,
+      y: pivotY
+    };
+  }
 
-    this.scroller.fling(startX, startY, vx, vy, minX, maxX, minY, maxY);
+  hasZoomMomentum() {
+    //no momentum when the fingers rested before lifting
+    return this.lastPinchPivot !== undefined && Date.now() - this.lastPinchTime < 100
+      && Math.abs(this.zoomVelocity) > 0.0005;
+  }
+
+  /**
+   * Rubber band the pinch past maxScale or minScale, up to twice maxScale and half minScale,
+   * unless the resistance of the physics is a function.
+   * @param scaleBy
+   * @returns {number}
+   */
+  resistedScaleBy(scaleBy) {
+    let scale = this._transform.scale;
+    let {maxScale, minScale} = this.props;
+    let physics = this.physics();
+    if (typeof physics.resistance === 'function') {
+      let width = this.boundsRect().width();
+      let overPull = 0;
+      if (scaleBy > 1 && scale > maxScale) {
+        overPull = (scale / maxScale - 1) * width;
+      } else if (scaleBy < 1 && scale < minScale) {
+        overPull = (minScale / scale - 1) * width;
+      } else {
+        return scaleBy;
+      }
+      return Math.pow(scaleBy, physics.resistance(overPull, width));
+    }
+
+    let coefficient = physics.rubberBandCoefficient;
+    if (scale > maxScale || scale * scaleBy > maxScale) {
+      return rubberBandScale(scale, scaleBy, maxScale, coefficient) / scale;
+    }
+    if (scale < minScale || scale * scaleBy < minScale) {
+      //past minScale is past maxScale for the inverse scales
+      return 1 / (scale * rubberBandScale(1 / scale, 1 / scaleBy, 1 / minScale, coefficient));
+    }
+    return scaleBy;
+  }
+
+  /**
+   * Keep zooming after a fast pinch, decelerating like a fling, then bounce back.
+   */
+  performZoomFling() {
+    let deceleration = this.physics().zoomDeceleration;
+    //velocity decays by deceleration every millisecond, the distance is the integral
+    let timeConstant = -1 / Math.log(deceleration);
+    let curScale = this._transform.scale;
+    let targetScale = this.clampScale(curScale * Math.exp(this.zoomVelocity * timeConstant));
+
+    //clamped, snapped and aligned like a bounce, so the transform settles once
+    let rotate = this.snappedRotate(this._transform.rotate);
+    let rect = transformedRect(this.contentRect(), new Transform(
+      curScale, this._transform.translateX, this._transform.translateY, undefined, rotate
+    ));
+    rect = transformedRect(rect, new Transform(
+      targetScale / curScale, 0, 0, this.lastPinchPivot
+    ));
+    rect = alignedRect(rect, this.boundsRect());
+    this.resetZoomVelocity();
+
+    this.animate(rect, 3 * timeConstant, rotate, {
+      easing: Easing.out(Easing.cubic)
+    });
   }
 
   performDoubleTapUp(pivotX, pivotY) {
     console.log('performDoubleTapUp...pivot=' + pivotX + ', ' + pivotY);
-    let curScale = this.state.scale;
-    let scaleBy;
-    if (curScale > (1 + this.props.maxScale) / 2) {
-      scaleBy = 1 / curScale;
-    } else {
-      scaleBy = this.props.maxScale / curScale;
+    let curScale = this._transform.scale;
+    let targetScale = this.doubleTapTargetScale(curScale);
+
+    if (this.props.onDoubleTap) {
+      let event = this.gestureEvent('doubleTap', pivotX, pivotY);
+      event.scale = curScale;
+      event.targetScale = targetScale;
+      let override = this.props.onDoubleTap(event);
+      if (override) {
+        if (typeof override.scale === 'number') {
+          targetScale = this.clampScale(override.scale);
+        }
+        if (override.pivot) {
+          pivotX = override.pivot.x;
+          pivotY = override.pivot.y;
+        }
+      }
     }
+    let scaleBy = targetScale / curScale;
 
     let rect = transformedRect(this.transformedContentRect(), new Transform(
       scaleBy, 0, 0,
@@ -313,44 +1149,127 @@ export default class ViewTransformer extends React.Component {
         y: pivotY
       }
     ));
-    rect = transformedRect(rect, new Transform(1, this.viewPortRect().centerX() - pivotX, this.viewPortRect().centerY() - pivotY));
-    rect = alignedRect(rect, this.viewPortRect());
+    rect = transformedRect(rect, new Transform(1, this.boundsRect().centerX() - pivotX, this.boundsRect().centerY() - pivotY));
+    rect = alignedRect(rect, this.boundsRect());
 
     this.animate(rect);
   }
 
+  doubleTapTargetScale(curScale) {
+    let levels = this.props.doubleTapZoomLevels;
+    if (levels && levels.length > 0) {
+      levels = levels.map((level) => this.clampScale(level));
+      //step to the next level, wrap back to the first one after the last
+      for (let i = 0; i < levels.length; i++) {
+        if (levels[i] > curScale + 0.01) {
+          return levels[i];
+        }
+      }
+      return levels[0];
+    }
+
+    let fitScale = Math.min(Math.max(1, this.props.minScale), this.props.maxScale);
+    if (curScale > (fitScale + this.props.maxScale) / 2) {
+      return fitScale;
+    }
+    return this.props.maxScale;
+  }
+
   applyResistance(dx, dy) {
-    let availablePanDistance = availableTranslateSpace(this.transformedContentRect(), this.viewPortRect());
+    let availablePanDistance = availableTranslateSpace(this.transformedContentRect(), this.boundsRect());
+    let boundsRect = this.boundsRect();
 
-    if ((dx > 0 && availablePanDistance.left < 0)
-      ||
-      (dx < 0 && availablePanDistance.right < 0)) {
-      dx /= 3;
+    if (dx > 0 && availablePanDistance.left < 0) {
+      dx *= this.resistanceFactor(-availablePanDistance.left, boundsRect.width());
+    } else if (dx < 0 && availablePanDistance.right < 0) {
+      dx *= this.resistanceFactor(-availablePanDistance.right, boundsRect.width());
     }
-    if ((dy > 0 && availablePanDistance.top < 0)
-      ||
-      (dy < 0 && availablePanDistance.bottom < 0)) {
-      dy /= 3;
+    if (dy > 0 && availablePanDistance.top < 0) {
+      dy *= this.resistanceFactor(-availablePanDistance.top, boundsRect.height());
+    } else if (dy < 0 && availablePanDistance.bottom < 0) {
+      dy *= this.resistanceFactor(-availablePanDistance.bottom, boundsRect.height());
     }
     return {
       dx, dy
     }
   }
 
+  resistanceFactor(overPull, dimension) {
+    let physics = this.physics();
+    if (typeof physics.resistance === 'function') {
+      return physics.resistance(overPull, dimension);
+    }
+    if (physics.resistance === 'rubberBand') {
+      return rubberBandFactor(overPull, dimension, physics.rubberBandCoefficient);
+    }
+    return 1 / 3;
+  }
+
+  physics() {
+    return Object.assign({}, DEFAULT_PHYSICS, this.props.physics);
+  }
+
+  /**
+   * Stop the running animation and fling, e.g. when a gesture or another member of the group takes over.
+   */
   cancelAnimation() {
     this.state.animator.stopAnimation();
+    if (!this.scroller.isFinished()) {
+      //the scroller still reports its end on the next frame
+      this.flingCancelled = true;
+      this.scroller.forceFinished(true);
+    }
+    if (this.flinging) {
+      this.flinging = false;
+      this.props.onFlingEnd && this.props.onFlingEnd(this.gestureEvent('fling'));
+    }
   }
 
-  animate(targetRect, durationInMillis) {
-    let duration = 200;
+  /**
+   * Animate the content to targetRect.
+   * @param targetRect the bounding rect of the content when the animation ends
+   * @param durationInMillis
+   * @param targetRotate rotation in degrees when the animation ends. Default is the current rotation.
+   * @param options {easing, spring}, spring being an Animated.spring config used instead of timing
+   * @returns {Promise} resolved with true when the animation finishes, or false when it is cancelled
+   */
+  animate(targetRect, durationInMillis, targetRotate, options) {
+    let physics = this.physics();
+    options = options || {};
+    let duration = physics.animationDuration;
     if (durationInMillis) {
       duration = durationInMillis;
     }
 
-    let fromRect = this.transformedContentRect();
-    if (fromRect.equals(targetRect)) {
+    let fromRotate = this._transform.rotate;
+    let toRotate = fromRotate;
+    if (typeof targetRotate === 'number') {
+      toRotate = targetRotate;
+    }
+
+    //interpolate the unrotated rects, the rotation is interpolated separately
+    let toTransform = getTransform(this.contentRect(), targetRect, toRotate);
+    let fromRect = transformedRect(this.contentRect(), new Transform(
+      this._transform.scale, this._transform.translateX, this._transform.translateY
+    ));
+    targetRect = transformedRect(this.contentRect(), new Transform(
+      toTransform.scale, toTransform.translateX, toTransform.translateY
+    ));
+    if (fromRect.equals(targetRect) && fromRotate === toRotate) {
       console.log('animate...equal rect, skip animation');
-      return;
+      this.transformSettled();
+      return Promise.resolve(true);
+    }
+
+    if (this.props.reduceMotion) {
+      let transform = getTransform(this.contentRect(), targetRect);
+      transform.rotate = toRotate;
+      this.animation = {}; //a jump still settles only once
+      this.updateTransform(transform);
+      this.animation = null;
+      this.transformSettled();
+      this.props.onAnimationEnd && this.props.onAnimationEnd(this.gestureEvent('animation'));
+      return Promise.resolve(true);
     }
 
     this.state.animator.removeAllListeners();
@@ -364,19 +1283,41 @@ export default class ViewTransformer extends React.Component {
       let bottom = fromRect.bottom + (targetRect.bottom - fromRect.bottom) * progress;
 
       let transform = getTransform(this.contentRect(), new Rect(left, top, right, bottom));
+      transform.rotate = fromRotate + (toRotate - fromRotate) * progress;
       this.updateTransform(transform);
     });
 
-    Animated.timing(this.state.animator, {
-      toValue: 1,
-      duration: duration,
-      easing: Easing.inOut(Easing.ease)
-    }).start();
+    let animation;
+    if (options.spring) {
+      animation = Animated.spring(this.state.animator, {
+        ...options.spring,
+        toValue: 1
+      });
+    } else {
+      animation = Animated.timing(this.state.animator, {
+        toValue: 1,
+        duration: duration,
+        easing: options.easing || physics.animationEasing
+      });
+    }
+    let token = this.animation = {};
+    return new Promise((resolve) => {
+      animation.start(({finished}) => {
+        if (this.animation === token) {
+          this.animation = null;
+        }
+        if (finished) {
+          this.transformSettled();
+          this.props.onAnimationEnd && this.props.onAnimationEnd(this.gestureEvent('animation'));
+        }
+        resolve(finished);
+      });
+    });
   }
 
   animateBounce() {
-    let curScale = this.state.scale;
-    let minScale = 1;
+    let curScale = this._transform.scale;
+    let minScale = this.props.minScale;
     let maxScale = this.props.maxScale;
     let scaleBy = 1;
     if (curScale > maxScale) {
@@ -385,17 +1326,184 @@ export default class ViewTransformer extends React.Component {
       scaleBy = minScale / curScale;
     }
 
-    let rect = transformedRect(this.transformedContentRect(), new Transform(
+    let rotate = this.snappedRotate(this._transform.rotate);
+
+    let rect = transformedRect(this.contentRect(), new Transform(
+      curScale, this._transform.translateX, this._transform.translateY, undefined, rotate
+    ));
+    rect = transformedRect(rect, new Transform(
       scaleBy,
       0,
       0,
       {
-        x: this.viewPortRect().centerX(),
-        y: this.viewPortRect().centerY()
+        x: this.boundsRect().centerX(),
+        y: this.boundsRect().centerY()
       }
     ));
-    rect = alignedRect(rect, this.viewPortRect());
-    this.animate(rect);
+    rect = alignedRect(rect, this.boundsRect());
+
+    let physics = this.physics();
+    return this.animate(rect, undefined, rotate, {
+      spring: physics.bounce === 'spring' ? physics.springConfig : undefined
+    }).then((finished) => {
+      if (finished) {
+        this.dismissStartTranslateY = undefined; //swiped back
+      }
+      return finished;
+    });
+  }
+
+  clampScale(scale) {
+    return Math.min(Math.max(scale, this.props.minScale), this.props.maxScale);
+  }
+
+  snappedRotate(rotate) {
+    return this.props.snapRotate ? Math.round(rotate / 90) * 90 : rotate;
+  }
+
+  applyTransform(transform) {
+    this._transform = transform;
+    this.animatedTransform.scale.setValue(transform.scale);
+    this.animatedTransform.translateX.setValue(transform.translateX);
+    this.animatedTransform.translateY.setValue(transform.translateY);
+    this.animatedTransform.rotate.setValue(transform.rotate);
+    this.overlay && this.overlay.update(transform);
+    if (this.dismissStartTranslateY !== undefined) {
+      this.props.onDismissProgress && this.props.onDismissProgress(this.dismissProgress());
+    }
+    this.props.transformGroup && this.props.transformGroup.publish(this, transform);
+
+    this.props.onViewTransformed && this.props.onViewTransformed(transform);
+  }
+
+  animateToAlignedRect(rect, options, rotate) {
+    options = options || {};
+    rect = alignedRect(rect, this.boundsRect());
+    return this.animate(rect, options.duration, rotate, options).then((finished) => {
+      if (!finished) {
+        throw new Error('animate...cancelled');
+      }
+      return {
+        scale: this._transform.scale,
+        translateX: this._transform.translateX,
+        translateY: this._transform.translateY,
+        rotate: this._transform.rotate
+      };
+    });
+  }
+
+  /**
+   * The transform drawing a point of the untransformed content at a point of the view.
+   * @param point {x, y} in content coordinates
+   * @param viewPoint {x, y} in view coordinates
+   * @param scale
+   * @param rotate degrees
+   * @returns {{scale, translateX, translateY, rotate}}
+   */
+  anchoredTransform(point, viewPoint, scale, rotate) {
+    let contentRect = this.contentRect();
+    let radians = rotate * Math.PI / 180;
+    let vx = point.x - contentRect.centerX();
+    let vy = point.y - contentRect.centerY();
+    return {
+      scale: scale,
+      translateX: (viewPoint.x - contentRect.centerX()) / scale - (vx * Math.cos(radians) - vy * Math.sin(radians)),
+      translateY: (viewPoint.y - contentRect.centerY()) / scale - (vx * Math.sin(radians) + vy * Math.cos(radians)),
+      rotate: rotate
+    };
+  }
+
+  /**
+   * The view point a layout independent anchor refers to: the center or the top left corner of the bounds.
+   * @param corner 'center' or 'topLeft'
+   * @returns {{x: number, y: number}}
+   */
+  anchorViewPoint(corner) {
+    let boundsRect = this.boundsRect();
+    if (corner === 'topLeft') {
+      return {x: boundsRect.left, y: boundsRect.top};
+    }
+    return {x: boundsRect.centerX(), y: boundsRect.centerY()};
+  }
+
+  /**
+   * The transform as the content point drawn at a corner of the bounds, in fractions of the content size,
+   * which stays meaningful when the layout changes. Null until laid out.
+   * @param corner 'center' or 'topLeft'
+   * @returns {{scale, rotate, x, y}}
+   */
+  transformAnchor(corner) {
+    let contentRect = this.contentRect();
+    if (contentRect.width() <= 0 || contentRect.height() <= 0) {
+      return null;
+    }
+    let point = this.viewToContent(this.anchorViewPoint(corner));
+    return {
+      scale: this._transform.scale,
+      rotate: this._transform.rotate,
+      x: (point.x - contentRect.left) / contentRect.width(),
+      y: (point.y - contentRect.top) / contentRect.height()
+    };
+  }
+
+  /**
+   * The aligned transform drawing the content point of anchor at the same corner of the current bounds.
+   * @param anchor from transformAnchor
+   * @param corner 'center' or 'topLeft'
+   * @returns {{scale, translateX, translateY, rotate}}
+   */
+  anchorTransform(anchor, corner) {
+    let contentRect = this.contentRect();
+    let point = {
+      x: contentRect.left + anchor.x * contentRect.width(),
+      y: contentRect.top + anchor.y * contentRect.height()
+    };
+    return this.alignedTransform(this.anchoredTransform(
+      point, this.anchorViewPoint(corner), anchor.scale, anchor.rotate || 0
+    ));
+  }
+
+  /**
+   * The transform making rect, in content coordinates, fill the bounds at the given or the current rotation.
+   * @param rect
+   * @param rotate degrees, optional
+   * @returns {{scale, translateX, translateY, rotate}}
+   */
+  rectTransform(rect, rotate) {
+    let boundsRect = this.boundsRect();
+    let scale = this.clampScale(Math.min(boundsRect.width() / rect.width(), boundsRect.height() / rect.height()));
+    return this.anchoredTransform(
+      {x: rect.centerX(), y: rect.centerY()}, this.anchorViewPoint('center'), scale,
+      typeof rotate === 'number' ? rotate : this._transform.rotate
+    );
+  }
+
+  /**
+   * The aligned transform of initialRect, or of initialTransform, or no transform, which reset() goes back to.
+   * @returns {{scale, translateX, translateY, rotate}}
+   */
+  defaultTransform() {
+    let transform = mergedTransform(
+      {scale: 1, translateX: 0, translateY: 0, rotate: 0}, this.props.initialTransform || {}
+    );
+    if (this.props.initialRect) {
+      transform = this.rectTransform(this.props.initialRect, transform.rotate);
+    }
+    return this.alignedTransform(transform);
+  }
+
+  /**
+   * transform with its scale clamped and the content aligned with the bounds, like at the end of animations.
+   * @param transform
+   * @returns {{scale, translateX, translateY, rotate}}
+   */
+  alignedTransform(transform) {
+    let rect = transformedRect(this.contentRect(), new Transform(
+      this.clampScale(transform.scale), transform.translateX, transform.translateY, undefined, transform.rotate
+    ));
+    let aligned = getTransform(this.contentRect(), alignedRect(rect, this.boundsRect()), transform.rotate);
+    aligned.rotate = transform.rotate;
+    return aligned;
   }
 
   // Above are private functions. Do not use them if you don't known what you are doing.
@@ -403,17 +1511,178 @@ export default class ViewTransformer extends React.Component {
   // Below are public functions. Feel free to use them.
 
 
+  /**
+   * In controlled mode(the transform prop is set), the new transform is only reported via onTransformChange.
+   * @param transform
+   */
   updateTransform(transform) {
-    this.setState(transform);
+    let merged = mergedTransform(this._transform, transform);
+    if (!this.props.transform) {
+      this.applyTransform(merged);
+      this.isIdle() && this.updateAccessibilityValue();
+    }
+    this.props.onTransformChange && this.props.onTransformChange(merged);
   }
 
 
   forceUpdateTransform(transform) {
-    this.setState(transform);
+    this.updateTransform(transform);
+  }
+
+  /**
+   * Animate to the given transform. Missing fields keep their current values.
+   * The scale is clamped to [minScale, maxScale] and the content is aligned with the viewport.
+   * @param transform {scale, translateX, translateY, rotate}
+   * @param options {duration, easing}
+   * @returns {Promise} resolved with the final transform, or rejected when the animation is cancelled
+   */
+  animateTo(transform, options) {
+    let target = Object.assign(this.currentTransform(), transform);
+    let rect = transformedRect(this.contentRect(), new Transform(
+      this.clampScale(target.scale), target.translateX, target.translateY, undefined, target.rotate
+    ));
+    return this.animateToAlignedRect(rect, options, target.rotate);
+  }
+
+  /**
+   * Animate the scale around pivot, which defaults to the center of the view.
+   * @param scale
+   * @param pivot {x, y} in view coordinates
+   * @param options {duration, easing}
+   * @returns {Promise}
+   */
+  zoomTo(scale, pivot, options) {
+    if (!pivot) {
+      pivot = {
+        x: this.boundsRect().centerX(),
+        y: this.boundsRect().centerY()
+      };
+    }
+    let rect = transformedRect(this.transformedContentRect(), new Transform(
+      this.clampScale(scale) / this._transform.scale, 0, 0, pivot
+    ));
+    return this.animateToAlignedRect(rect, options);
+  }
+
+  /**
+   * Animate the content by dx, dy in view coordinates.
+   * @param dx
+   * @param dy
+   * @param options {duration, easing}
+   * @returns {Promise}
+   */
+  panBy(dx, dy, options) {
+    let rect = this.transformedContentRect().offset(dx, dy);
+    return this.animateToAlignedRect(rect, options);
+  }
+
+  /**
+   * Animate so that rect, given in untransformed view coordinates, fills the view.
+   * @param rect
+   * @param options {duration, easing}
+   * @returns {Promise}
+   */
+  zoomToRect(rect, options) {
+    let transform = this.rectTransform(rect);
+    let targetRect = transformedRect(this.contentRect(), new Transform(
+      transform.scale, transform.translateX, transform.translateY, undefined, transform.rotate
+    ));
+    return this.animateToAlignedRect(targetRect, options);
+  }
+
+  /**
+   * Animate back to the initial transform: initialRect or initialTransform if set, otherwise no transform.
+   * @param options {duration, easing}
+   * @returns {Promise}
+   */
+  reset(options) {
+    let transform = this.defaultTransform();
+    let rect = transformedRect(this.contentRect(), new Transform(
+      transform.scale, transform.translateX, transform.translateY, undefined, transform.rotate
+    ));
+    return this.animateToAlignedRect(rect, options, transform.rotate);
+  }
+
+  /**
+   * Which point of the untransformed content, in untransformed view coordinates, is drawn at a point of the view.
+   * @param point {x, y}
+   * @returns {{x: number, y: number}}
+   */
+  viewToContent(point) {
+    return viewToContent(point, this.contentRect(), this.currentTransform());
+  }
+
+  /**
+   * Where a point of the untransformed content is drawn in the view, e.g. to position a pin.
+   * @param point {x, y}
+   * @returns {{x: number, y: number}}
+   */
+  contentToView(point) {
+    return contentToView(point, this.contentRect(), this.currentTransform());
+  }
+
+  /**
+   * Like viewToContent, from page coordinates such as those of touch events. Uses the last measured page position.
+   * @param pageX
+   * @param pageY
+   * @returns {{x: number, y: number}}
+   */
+  screenToContent(pageX, pageY) {
+    return this.viewToContent({
+      x: pageX - this.state.pageX,
+      y: pageY - this.state.pageY
+    });
+  }
+
+  /**
+   * The part of the untransformed content visible in the view, or null if none is.
+   * When rotated, this is the bounding rect of the visible part.
+   * @returns {Rect}
+   */
+  visibleContentRect() {
+    return visibleContentRect(this.viewPortRect(), this.contentRect(), this.currentTransform());
+  }
+
+  /**
+   * The transform in a form independent of the layout, to be restored with restoreTransformSnapshot,
+   * e.g. on another device or orientation. Null until the view is laid out.
+   * @returns {{scale, rotate, centerX, centerY}} centerX, centerY being the content point at the center of the view,
+   * as fractions of the content size
+   */
+  getTransformSnapshot() {
+    let anchor = this.transformAnchor('center');
+    return anchor && {
+      scale: anchor.scale,
+      rotate: anchor.rotate,
+      centerX: anchor.x,
+      centerY: anchor.y
+    };
+  }
+
+  /**
+   * Immediately transform to a snapshot of getTransformSnapshot, once the view is laid out.
+   * The scale is clamped to [minScale, maxScale] and the content is aligned with the view.
+   * @param snapshot
+   * @returns {Promise} resolved with the restored transform
+   */
+  restoreTransformSnapshot(snapshot) {
+    return new Promise((resolve) => {
+      this.whenLaidOut(() => {
+        let transform = this.anchorTransform({
+          scale: snapshot.scale,
+          rotate: snapshot.rotate,
+          x: snapshot.centerX,
+          y: snapshot.centerY
+        }, 'center');
+        this.updateTransform(transform);
+        this.updateAccessibilityValue();
+        resolve(transform);
+      });
+    });
   }
 
   getAvailableTranslateSpace() {
-    return availableTranslateSpace(this.transformedContentRect(), this.viewPortRect());
+    return availableTranslateSpace(this.transformedContentRect(), this.boundsRect());
   }
 }
 
@@ -433,30 +1702,285 @@ ViewTransformer.propTypes = {
    */
   enableTranslate: React.PropTypes.bool,
 
+  /**
+   * Use true to enable two-finger rotation. Default is false.
+   */
+  enableRotate: React.PropTypes.bool,
+
+  /**
+   * Use true to snap the rotation to the nearest multiple of 90 degrees on release. Default is false.
+   */
+  snapRotate: React.PropTypes.bool,
+
+  /**
+   * When to keep a gesture instead of letting parents like a ScrollView have it. Pinches are always kept.
+   * 'always', 'whenZoomed'(scale is not 1) or 'whenPannable'(the content has room to move in the direction of the pan).
+   * Default is 'always'.
+   */
+  gestureCapturePolicy: React.PropTypes.oneOf(['always', 'whenZoomed', 'whenPannable']),
+
+  /**
+   * (gestureState, availableTranslateSpace) => boolean. Overrides gestureCapturePolicy.
+   * Return false to let parents have the gesture.
+   */
+  shouldCaptureGesture: React.PropTypes.func,
+
   /**
    * Default is 20
    */
   maxOverScrollDistance: React.PropTypes.number,
 
   maxScale: React.PropTypes.number,
+
+  /**
+   * Use a value less than 1 to allow zooming out below the fitted content. Default is 1.
+   */
+  minScale: React.PropTypes.number,
+
   contentAspectRatio: React.PropTypes.number,
 
+  /**
+   * The size of the content. When both are set, the content is laid out in a view of this size placed
+   * according to fitMode, and bounds follow the real content extent. Overrides contentAspectRatio.
+   */
+  contentWidth: React.PropTypes.number,
+  contentHeight: React.PropTypes.number,
+
+  /**
+   * How content of contentWidth x contentHeight is fitted in the view at scale 1.
+   * 'contain', 'cover', 'fitWidth' or 'none'(original size). Default is 'contain'.
+   */
+  fitMode: React.PropTypes.oneOf(['contain', 'cover', 'fitWidth', 'none']),
+
+  /**
+   * {top, left, bottom, right}, e.g. the height of an overlaid toolbar.
+   * Shrinks the area the content is fitted, aligned, centered and flung within.
+   * The content is still drawn under the inset once zoomed or panned there.
+   */
+  contentInset: React.PropTypes.shape({
+    top: React.PropTypes.number,
+    left: React.PropTypes.number,
+    bottom: React.PropTypes.number,
+    right: React.PropTypes.number
+  }),
+
+  /**
+   * Ascending scales to step through on each double tap, e.g. [1, 2, 4].
+   * Wraps back to the first one after the last. Levels are clamped to [minScale, maxScale].
+   * Default toggles between 1 and maxScale.
+   */
+  doubleTapZoomLevels: React.PropTypes.arrayOf(React.PropTypes.number),
+
+  /**
+   * Called on double tap with a gesture event plus {scale, targetScale}.
+   * Return {scale, pivot: {x, y}} (both optional) to override the target scale and pivot.
+   * The returned scale is clamped to [minScale, maxScale].
+   */
+  onDoubleTap: React.PropTypes.func,
+
   /**
    * Use true to enable resistance effect on over pulling. Default is false.
    */
   enableResistance: React.PropTypes.bool,
 
+  /**
+   * react-native-web only. Use true to pan with the mouse wheel or trackpad, and zoom around the cursor with ctrl+wheel
+   * or a trackpad pinch. Default is false.
+   */
+  enableWheel: React.PropTypes.bool,
+
+  /**
+   * What the wheel does without ctrl: 'pan' or 'zoom'. Default is 'pan'.
+   */
+  wheelAction: React.PropTypes.oneOf(['pan', 'zoom']),
+
+  /**
+   * react-native-web only. Use true to pan by dragging with the mouse. Default is false.
+   */
+  enableMouseDrag: React.PropTypes.bool,
+
+  /**
+   * react-native-web only. Use true to make the view focusable, zoom with +/-, pan with the arrow keys and reset with 0.
+   * Default is false.
+   */
+  enableKeyboard: React.PropTypes.bool,
+
+  /**
+   * Use true to make the view a single adjustable element for screen readers, announcing the zoom percentage,
+   * with actions to zoom in, zoom out, reset and pan in each direction. Default is false.
+   */
+  enableAccessibilityActions: React.PropTypes.bool,
+
+  /**
+   * Labels of the accessibility actions, by name: zoomIn, zoomOut, reset, panLeft, panRight, panUp and panDown.
+   * Missing labels keep their English defaults.
+   */
+  accessibilityActionLabels: React.PropTypes.object,
+
+  /**
+   * Use true to jump to the end of animations and skip flings, e.g. when AccessibilityInfo reports that
+   * reduce motion is enabled. Default is false.
+   */
+  reduceMotion: React.PropTypes.bool,
+
+  /**
+   * Use true to swipe the content away vertically instead of panning, when it has no vertical room that way,
+   * e.g. at scale 1 in a photo viewer. Swiping far or fast enough calls onDismiss, otherwise it bounces back.
+   * Default is false.
+   */
+  enableSwipeToDismiss: React.PropTypes.bool,
+
+  /**
+   * Called with how far the content is swiped away, from 0 to 1, e.g. to fade a backdrop.
+   */
+  onDismissProgress: React.PropTypes.func,
+
+  /**
+   * Called when the content is swiped away. The content stays where it was released.
+   */
+  onDismiss: React.PropTypes.func,
+
+  /**
+   * A TransformGroup shared with other ViewTransformers, which then pan, zoom and rotate in lockstep.
+   */
+  transformGroup: React.PropTypes.object,
+
+  /**
+   * How the transform of this member relates to the transform of its group, {scale, translateX, translateY, rotate}:
+   * the scale is multiplied, the others are added. Default is the identity.
+   */
+  transformGroupMapping: React.PropTypes.object,
+
+  /**
+   * Tuning of flings, resistance and animations. Missing fields keep their defaults:
+   * flingVelocityMultiplier: 1000, converts the release velocity(per millisecond) into the fling velocity(per second).
+   * flingFriction: 0.03, deceleration of flings.
+   * axisLockRatio: 2, a pan or fling is locked to one axis when it is this many times larger than the other one. 0 to disable.
+   * resistance: 'constant'(moves past an edge are divided by 3), 'rubberBand'(iOS-like decay with rubberBandCoefficient, default 0.55)
+   * or a function (overPull, viewPortSize) => factor applied to moves past an edge. Unless it is a function, pinches past
+   * maxScale or minScale rubber band with rubberBandCoefficient, up to twice maxScale and half minScale.
+   * animationDuration: 200, animationEasing: Easing.inOut(Easing.ease), used by bounce back, double tap and animated methods.
+   * zoomDeceleration: 0.995, how fast the zoom keeps going after a fast pinch slows down, per millisecond.
+   * bounce: 'timing' or 'spring', springConfig: {friction: 7, tension: 40}, the Animated.spring config of the spring bounce back.
+   */
+  physics: React.PropTypes.shape({
+    flingVelocityMultiplier: React.PropTypes.number,
+    flingFriction: React.PropTypes.number,
+    axisLockRatio: React.PropTypes.number,
+    resistance: React.PropTypes.oneOfType([
+      React.PropTypes.oneOf(['constant', 'rubberBand']),
+      React.PropTypes.func
+    ]),
+    rubberBandCoefficient: React.PropTypes.number,
+    animationDuration: React.PropTypes.number,
+    animationEasing: React.PropTypes.func,
+    zoomDeceleration: React.PropTypes.number,
+    bounce: React.PropTypes.oneOf(['timing', 'spring']),
+    springConfig: React.PropTypes.object
+  }),
+
   onViewTransformed: React.PropTypes.func,
 
+  /**
+   * The transform when mounted, {scale, translateX, translateY, rotate}. Missing fields default to no transform.
+   * Like any transform, it is aligned with the view and reported by onViewTransformed once laid out.
+   */
+  initialTransform: React.PropTypes.object,
+
+  /**
+   * What stays in place when the size of the view changes, e.g. when the device rotates:
+   * 'center' keeps the content at the center of the view, 'topLeft' the content at its top left corner,
+   * both at the same scale and then aligned with the view. 'none' keeps the raw transform. Default is 'center'.
+   */
+  layoutChangeBehavior: React.PropTypes.oneOf(['center', 'topLeft', 'none']),
+
+  /**
+   * A ViewTransformer.Rect in content coordinates that fills the view once it is laid out, like zoomToRect.
+   */
+  initialRect: React.PropTypes.instanceOf(Rect),
+
+  /**
+   * An AsyncStorage like object, {getItem(key), setItem(key, value)} both returning promises.
+   * With transformStorageKey, the transform snapshot is restored when mounted and saved whenever the transform settles.
+   * Ignored when the transform prop is set.
+   */
+  transformStorage: React.PropTypes.shape({
+    getItem: React.PropTypes.func.isRequired,
+    setItem: React.PropTypes.func.isRequired
+  }),
+
+  /**
+   * The key of the transform snapshot in transformStorage, e.g. the id of the document.
+   */
+  transformStorageKey: React.PropTypes.string,
+
+  /**
+   * ({transform, contentToView}) => views drawn above the content at constant size, e.g. markers.
+   * Position them with the view point contentToView returns for a point of the content.
+   */
+  renderOverlay: React.PropTypes.func,
+
+  /**
+   * Set to control the transform from the parent, like the value of a TextInput.
+   * {scale, translateX, translateY, rotate}, missing fields keep their current values.
+   * Gestures and animations then only call onTransformChange, which should pass the new transform back.
+   */
+  transform: React.PropTypes.shape({
+    scale: React.PropTypes.number,
+    translateX: React.PropTypes.number,
+    translateY: React.PropTypes.number,
+    rotate: React.PropTypes.number
+  }),
+
+  /**
+   * Called with {scale, translateX, translateY, rotate} whenever a gesture, an animation or a method changes the transform.
+   */
+  onTransformChange: React.PropTypes.func,
+
   onTransformGestureReleased: React.PropTypes.func,
 
-  onSingleTapConfirmed: React.PropTypes.func
+  /**
+   * Gesture callbacks receive an event {type, x, y, contentX, contentY, vx, vy, transform}:
+   * x, y is the pivot or tap point in view coordinates, contentX, contentY the same point in the untransformed content,
+   * vx, vy the velocity in pixels per millisecond, transform the current {scale, translateX, translateY, rotate}.
+   * Pinch end events also carry zoomVelocity, the natural log of the scale per millisecond.
+   */
+  onSingleTapConfirmed: React.PropTypes.func,
+
+  onPanStart: React.PropTypes.func,
+  onPanEnd: React.PropTypes.func,
+  onPinchStart: React.PropTypes.func,
+  onPinchEnd: React.PropTypes.func,
+
+  /**
+   * Fling events have no x, y.
+   */
+  onFlingStart: React.PropTypes.func,
+  onFlingEnd: React.PropTypes.func,
+
+  /**
+   * Called with an event without x, y when a bounce back, double tap or animated method finishes.
+   */
+  onAnimationEnd: React.PropTypes.func
 };
 ViewTransformer.defaultProps = {
   maxOverScrollDistance: 20,
   enableScale: true,
   enableTranslate: true,
+  enableRotate: false,
+  snapRotate: false,
   enableTransform: true,
+  gestureCapturePolicy: 'always',
   maxScale: 1,
-  enableResistance: false
+  minScale: 1,
+  fitMode: 'contain',
+  enableResistance: false,
+  enableWheel: false,
+  wheelAction: 'pan',
+  enableMouseDrag: false,
+  enableKeyboard: false,
+  enableAccessibilityActions: false,
+  reduceMotion: false,
+  layoutChangeBehavior: 'center',
+  enableSwipeToDismiss: false
 };
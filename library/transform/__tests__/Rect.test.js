@@ -0,0 +1,45 @@
+'use strict';
+
+import Rect from '../Rect';
+
+describe('Rect', () => {
+
+  it('measures its size and center', () => {
+    let rect = new Rect(10, 20, 110, 70);
+    expect(rect.width()).toBe(100);
+    expect(rect.height()).toBe(50);
+    expect(rect.centerX()).toBe(60);
+    expect(rect.centerY()).toBe(45);
+  });
+
+  it('offsets in place', () => {
+    let rect = new Rect(0, 0, 10, 10);
+    expect(rect.offset(5, -5)).toBe(rect);
+    expect(rect).toEqual(new Rect(5, -5, 15, 5));
+  });
+
+  it('copies into a new instance', () => {
+    let rect = new Rect(1, 2, 3, 4);
+    let copy = rect.copy();
+    copy.offset(1, 1);
+    expect(rect).toEqual(new Rect(1, 2, 3, 4));
+  });
+
+  it('intersects', () => {
+    let rect = new Rect(0, 0, 100, 100);
+    expect(rect.intersect(new Rect(50, -50, 150, 50))).toEqual(new Rect(50, 0, 100, 50));
+    expect(rect.intersect(new Rect(100, 0, 200, 100))).toBe(null);
+  });
+
+  it('compares all four edges', () => {
+    let rect = new Rect(0, 0, 100, 100);
+    expect(rect.equals(new Rect(0, 0, 100, 100))).toBe(true);
+    expect(rect.equals(new Rect(0, 0, 100, 50))).toBe(false);
+    expect(rect.equals(new Rect(0, 10, 100, 100))).toBe(false);
+  });
+
+  it('is valid only with numeric edges', () => {
+    expect(new Rect(0, 0, 1, 1).isValid()).toBe(true);
+    expect(new Rect().isValid()).toBe(false);
+  });
+});
@@ -0,0 +1,210 @@
+'use strict';
+
+import {
+  Rect,
+  Transform,
+  fitCenterRect,
+  fitRect,
+  rotatedRect,
+  transformedRect,
+  getTransform,
+  alignedRect,
+  availableTranslateSpace,
+  viewToContent,
+  contentToView
+} from '../TransformUtils';
+
+const viewPortRect = new Rect(0, 0, 400, 800);
+
+function expectRectCloseTo(actual, expected) {
+  expect(actual.left).toBeCloseTo(expected.left, 6);
+  expect(actual.top).toBeCloseTo(expected.top, 6);
+  expect(actual.right).toBeCloseTo(expected.right, 6);
+  expect(actual.bottom).toBeCloseTo(expected.bottom, 6);
+}
+
+/**
+ * A seeded generator so that the property tests are reproducible.
+ */
+function random(seed) {
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+}
+
+describe('fitCenterRect', () => {
+
+  it('fits wide content to the width', () => {
+    expectRectCloseTo(fitCenterRect(2, viewPortRect), new Rect(0, 300, 400, 500));
+  });
+
+  it('fits tall content to the height', () => {
+    expectRectCloseTo(fitCenterRect(0.25, viewPortRect), new Rect(100, 0, 300, 800));
+  });
+});
+
+describe('fitRect', () => {
+
+  it('contains by default', () => {
+    expectRectCloseTo(fitRect(4000, 2000, viewPortRect), fitCenterRect(2, viewPortRect));
+  });
+
+  it('covers the container', () => {
+    expectRectCloseTo(fitRect(4000, 2000, viewPortRect, 'cover'), new Rect(-600, 0, 1000, 800));
+  });
+
+  it('fits the width', () => {
+    expectRectCloseTo(fitRect(100, 1000, viewPortRect, 'fitWidth'), new Rect(0, -1600, 400, 2400));
+  });
+
+  it('keeps the original size', () => {
+    expectRectCloseTo(fitRect(4000, 3000, viewPortRect, 'none'), new Rect(-1800, -1100, 2200, 1900));
+  });
+});
+
+describe('rotatedRect', () => {
+
+  it('swaps width and height at 90 degrees', () => {
+    expectRectCloseTo(rotatedRect(new Rect(0, 0, 100, 50), 90), new Rect(25, -25, 75, 75));
+  });
+
+  it('grows to the bounding rect at 45 degrees', () => {
+    let rect = rotatedRect(new Rect(0, 0, 100, 100), 45);
+    expect(rect.width()).toBeCloseTo(100 * Math.SQRT2, 6);
+    expect(rect.centerX()).toBeCloseTo(50, 6);
+  });
+});
+
+describe('transformedRect', () => {
+
+  it('scales around the center and translates before scaling', () => {
+    expectRectCloseTo(
+      transformedRect(viewPortRect, new Transform(2, 10, 20)),
+      new Rect(-180, -360, 620, 1240)
+    );
+  });
+
+  it('keeps the pivot still', () => {
+    let pivot = {x: 100, y: 100};
+    let rect = transformedRect(viewPortRect, new Transform(3, 0, 0, pivot));
+    //the pivot is at 1/4 of the width and 1/8 of the height in both rects
+    expect((pivot.x - rect.left) / rect.width()).toBeCloseTo(0.25, 6);
+    expect((pivot.y - rect.top) / rect.height()).toBeCloseTo(0.125, 6);
+  });
+
+  it('rotates around the pivot', () => {
+    let rect = transformedRect(new Rect(0, 0, 100, 50), new Transform(1, 0, 0, {x: 0, y: 0}, 90));
+    expectRectCloseTo(rect, new Rect(-50, 0, 0, 100));
+  });
+
+  it('throws on invalid input', () => {
+    expect(() => transformedRect(new Rect(), new Transform(1, 0, 0))).toThrow('invalid rect');
+    expect(() => transformedRect(viewPortRect, new Transform(NaN, 0, 0))).toThrow('invalid transform');
+    expect(() => transformedRect(viewPortRect, new Transform(1, 0, 0, {x: 'a', y: 0}))).toThrow('invalid pivot');
+  });
+});
+
+describe('getTransform', () => {
+
+  it('is the inverse of transformedRect', () => {
+    let next = random(42);
+    for (let i = 0; i < 200; i++) {
+      let rect = new Rect(next() * 100, next() * 100, 100 + next() * 400, 100 + next() * 800);
+      let transform = new Transform(
+        0.1 + next() * 5,
+        (next() - 0.5) * 1000,
+        (next() - 0.5) * 1000,
+        undefined,
+        next() < 0.5 ? 0 : (next() - 0.5) * 720
+      );
+
+      let result = getTransform(rect, transformedRect(rect, transform), transform.rotate);
+      expect(result.scale).toBeCloseTo(transform.scale, 6);
+      expect(result.translateX).toBeCloseTo(transform.translateX, 6);
+      expect(result.translateY).toBeCloseTo(transform.translateY, 6);
+      expect(result.rotate).toBe(transform.rotate);
+    }
+  });
+
+  it('maps a rect back onto itself', () => {
+    let next = random(7);
+    for (let i = 0; i < 200; i++) {
+      let fromRect = new Rect(0, 0, 10 + next() * 500, 10 + next() * 500);
+      let toRect = new Rect(0, 0, fromRect.width(), fromRect.height()).offset(next() * 100, next() * 100);
+      let scale = 0.1 + next() * 5;
+      toRect = transformedRect(toRect, new Transform(scale, 0, 0));
+      expectRectCloseTo(transformedRect(fromRect, getTransform(fromRect, toRect)), toRect);
+    }
+  });
+});
+
+describe('alignedRect', () => {
+
+  it('centers content smaller than the viewport', () => {
+    expectRectCloseTo(alignedRect(new Rect(0, 0, 100, 100), viewPortRect), new Rect(150, 350, 250, 450));
+  });
+
+  it('removes blank space next to edges of larger content', () => {
+    expectRectCloseTo(alignedRect(new Rect(50, -100, 850, 1500), viewPortRect), new Rect(0, -100, 800, 1500));
+    expectRectCloseTo(alignedRect(new Rect(-500, -900, 300, 700), viewPortRect), new Rect(-400, -800, 400, 800));
+  });
+
+  it('never scales', () => {
+    let next = random(3);
+    for (let i = 0; i < 100; i++) {
+      let rect = new Rect(0, 0, next() * 1000, next() * 1000).offset((next() - 0.5) * 1000, (next() - 0.5) * 1000);
+      let aligned = alignedRect(rect, viewPortRect);
+      expect(aligned.width()).toBeCloseTo(rect.width(), 6);
+      expect(aligned.height()).toBeCloseTo(rect.height(), 6);
+    }
+  });
+});
+
+describe('contentToView', () => {
+
+  it('maps the corners of the content onto the transformed rect', () => {
+    let transform = new Transform(2, 10, -30);
+    let rect = transformedRect(viewPortRect, transform);
+    let topLeft = contentToView({x: viewPortRect.left, y: viewPortRect.top}, viewPortRect, transform);
+    let bottomRight = contentToView({x: viewPortRect.right, y: viewPortRect.bottom}, viewPortRect, transform);
+    expect(topLeft.x).toBeCloseTo(rect.left, 6);
+    expect(topLeft.y).toBeCloseTo(rect.top, 6);
+    expect(bottomRight.x).toBeCloseTo(rect.right, 6);
+    expect(bottomRight.y).toBeCloseTo(rect.bottom, 6);
+  });
+
+  it('rotates clockwise like transformedRect', () => {
+    let transform = new Transform(1, 0, 0, undefined, 90);
+    let point = contentToView({x: 0, y: 0}, viewPortRect, transform);
+    let rect = transformedRect(viewPortRect, transform);
+    expect(point.x).toBeCloseTo(rect.right, 6);
+    expect(point.y).toBeCloseTo(rect.top, 6);
+  });
+});
+
+describe('viewToContent', () => {
+
+  it('is the inverse of contentToView', () => {
+    let next = random(11);
+    for (let i = 0; i < 200; i++) {
+      let transform = new Transform(0.1 + next() * 5, (next() - 0.5) * 500, (next() - 0.5) * 500, undefined, (next() - 0.5) * 720);
+      let point = {x: next() * 400, y: next() * 800};
+      let result = viewToContent(contentToView(point, viewPortRect, transform), viewPortRect, transform);
+      expect(result.x).toBeCloseTo(point.x, 6);
+      expect(result.y).toBeCloseTo(point.y, 6);
+    }
+  });
+});
+
+describe('availableTranslateSpace', () => {
+
+  it('measures how far content extends past each edge', () => {
+    expect(availableTranslateSpace(new Rect(-10, -20, 430, 850), viewPortRect)).toEqual({
+      left: 10,
+      right: 30,
+      top: 20,
+      bottom: 50
+    });
+  });
+});
@@ -0,0 +1,1014 @@
+'use strict';
+
+jest.mock('react', () => require('./harness/ReactMock'), {virtual: true});
+jest.mock('react-native', () => require('./harness/ReactNativeMock'), {virtual: true});
+jest.mock('react-native-gesture-responder', () => require('./harness/GestureResponderMock'));
+
+import ViewTransformer from '../ViewTransformer';
+import GestureDriver, {mountTransformer, setProps, transformOf, setUpHarness} from './harness/GestureDriver';
+
+describe('ViewTransformer', () => {
+  let transformer, driver;
+
+  function mount(props, layout) {
+    transformer = mountTransformer(ViewTransformer, props, layout);
+    driver = new GestureDriver(transformer);
+  }
+
+  setUpHarness();
+
+  afterEach(() => {
+    transformer && transformer.componentWillUnmount();
+  });
+
+  describe('pinch', () => {
+
+    it('zooms around the pinch center', () => {
+      mount({maxScale: 3});
+      driver.pinch({x: 100, y: 100}, 100, 200, {hold: 200});
+      driver.settle();
+
+      let rect = transformer.transformedContentRect();
+      expect(transformer.currentTransform().scale).toBeCloseTo(2, 6);
+      //the content point under the pinch center stays there
+      expect((100 - rect.left) / rect.width()).toBeCloseTo(0.25, 6);
+      expect((100 - rect.top) / rect.height()).toBeCloseTo(0.125, 6);
+    });
+
+    it('uses the measured page position for the pivot', () => {
+      mount({maxScale: 3}, {pageX: 50, pageY: 100});
+      driver.pinch({x: 150, y: 200}, 100, 200, {hold: 200});
+      driver.settle();
+
+      let rect = transformer.transformedContentRect();
+      expect((100 - rect.left) / rect.width()).toBeCloseTo(0.25, 6);
+    });
+
+    it('bounces back to maxScale', () => {
+      mount({maxScale: 2});
+      driver.pinch({x: 200, y: 400}, 100, 400, {hold: 200});
+      expect(transformer.currentTransform().scale).toBeGreaterThan(2);
+      driver.settle();
+      expect(transformer.currentTransform().scale).toBeCloseTo(2, 6);
+    });
+
+    it('bounces back to minScale', () => {
+      mount({maxScale: 2, minScale: 0.5});
+      driver.pinch({x: 200, y: 400}, 400, 100, {hold: 200});
+      driver.settle();
+      expect(transformer.currentTransform().scale).toBeCloseTo(0.5, 6);
+      //smaller content is centered
+      let rect = transformer.transformedContentRect();
+      expect(rect.centerX()).toBeCloseTo(200, 6);
+      expect(rect.centerY()).toBeCloseTo(400, 6);
+    });
+
+    it('rotates and snaps to 90 degrees', () => {
+      mount({maxScale: 2, enableRotate: true, snapRotate: true});
+      driver.pinch({x: 200, y: 400}, 200, 200, {toAngle: 70, hold: 200});
+      expect(transformer.currentTransform().rotate).toBeCloseTo(70, 6);
+      driver.settle();
+      expect(transformer.currentTransform().rotate).toBeCloseTo(90, 6);
+    });
+
+    it('keeps zooming after a fast pinch', () => {
+      mount({maxScale: 4});
+      driver.pinch({x: 200, y: 400}, 100, 200, {steps: 5});
+      let released = transformer.currentTransform().scale;
+      driver.settle();
+      expect(transformer.currentTransform().scale).toBeGreaterThan(released + 0.1);
+      expect(transformer.currentTransform().scale).toBeLessThanOrEqual(4);
+    });
+
+    it('settles a fast pinch once, snapped and within the limits', () => {
+      let onAnimationEnd = jest.fn();
+      mount({maxScale: 2, enableRotate: true, snapRotate: true, onAnimationEnd});
+      driver.pinch({x: 200, y: 400}, 100, 300, {toAngle: 70, steps: 5});
+      driver.settle();
+      expect(onAnimationEnd).toHaveBeenCalledTimes(1);
+      expect(transformer.currentTransform().scale).toBeCloseTo(2, 6);
+      expect(transformer.currentTransform().rotate).toBeCloseTo(90, 6);
+    });
+
+    it('rubber bands past maxScale', () => {
+      mount({maxScale: 2});
+      driver.pinch({x: 200, y: 400}, 100, 400, {release: false});
+      expect(transformer.currentTransform().scale).toBeGreaterThan(2);
+      expect(transformer.currentTransform().scale).toBeLessThan(3);
+    });
+
+    it('never rubber bands beyond twice maxScale or half minScale', () => {
+      mount({maxScale: 2});
+      driver.pinch({x: 200, y: 400}, 10, 2000, {release: false});
+      let scale = transformer.currentTransform().scale;
+      expect(scale).toBeGreaterThan(3);
+      expect(scale).toBeLessThan(4);
+
+      //pinching back retraces the curve
+      driver.moveTo([{x: 195, y: 400}, {x: 205, y: 400}]);
+      expect(transformer.currentTransform().scale).toBeCloseTo(1, 6);
+      driver.release();
+
+      mount({minScale: 0.5, maxScale: 2});
+      driver.pinch({x: 200, y: 400}, 2000, 10, {release: false});
+      scale = transformer.currentTransform().scale;
+      expect(scale).toBeLessThan(0.5);
+      expect(scale).toBeGreaterThan(0.25);
+    });
+
+    it('does not rotate unless enabled', () => {
+      mount({maxScale: 2});
+      driver.pinch({x: 200, y: 400}, 200, 200, {toAngle: 70, hold: 200});
+      expect(transformer.currentTransform().rotate).toBe(0);
+    });
+  });
+
+  describe('pan', () => {
+
+    it('moves zoomed content', () => {
+      mount({maxScale: 3});
+      transformer.updateTransform({scale: 2});
+      driver.pan({x: 200, y: 400}, 100, 0);
+      driver.settle();
+
+      let transform = transformOf(transformer);
+      expect(transform.translateX * transform.scale).toBeGreaterThanOrEqual(100);
+      expect(transformer.getAvailableTranslateSpace().left).toBeGreaterThanOrEqual(0);
+    });
+
+    it('bounces back at scale 1', () => {
+      mount({maxScale: 3});
+      driver.pan({x: 200, y: 400}, 100, 0);
+      expect(transformer.currentTransform().translateX).toBeCloseTo(100, 6);
+      driver.settle();
+      expect(transformer.currentTransform().translateX).toBeCloseTo(0, 6);
+    });
+
+    it('locks to the dominant axis', () => {
+      mount({maxScale: 3});
+      transformer.updateTransform({scale: 2});
+      driver.pan({x: 200, y: 400}, 100, 20, {release: false});
+      expect(transformer.currentTransform().translateY).toBe(0);
+    });
+
+    it('resists over pulling', () => {
+      mount({maxScale: 3, enableResistance: true});
+      driver.pan({x: 200, y: 400}, 90, 0, {release: false});
+      //the first 9px step starts at the edge, the 9 steps past it move a third
+      expect(transformer.currentTransform().translateX).toBeCloseTo(9 + 81 / 3, 6);
+    });
+
+    it('does nothing when translate is disabled', () => {
+      mount({maxScale: 3, enableTranslate: false});
+      transformer.updateTransform({scale: 2});
+      driver.pan({x: 200, y: 400}, 100, 0, {release: false});
+      expect(transformer.currentTransform().translateX).toBe(0);
+    });
+  });
+
+  describe('fling', () => {
+
+    it('keeps moving after release and stays within bounds', () => {
+      mount({maxScale: 3});
+      transformer.updateTransform({scale: 3});
+      driver.fling({x: 200, y: 400}, -2, 0);
+      let released = transformOf(transformer);
+      driver.settle();
+
+      let transform = transformOf(transformer);
+      expect(transform.translateX).toBeLessThan(released.translateX);
+      let space = transformer.getAvailableTranslateSpace();
+      expect(space.right).toBeGreaterThanOrEqual(-0.001);
+      expect(space.left).toBeGreaterThanOrEqual(-0.001);
+    });
+  });
+
+  describe('physics', () => {
+
+    it('can turn the axis lock off', () => {
+      mount({maxScale: 3, physics: {axisLockRatio: 0}});
+      transformer.updateTransform({scale: 2});
+      driver.pan({x: 200, y: 400}, 100, 20, {release: false});
+      expect(transformer.currentTransform().translateY).toBeCloseTo(10, 6);
+    });
+
+    it('decays with a rubber band resistance', () => {
+      let constant = mountAndOverPull({enableResistance: true});
+      let rubberBand = mountAndOverPull({enableResistance: true, physics: {resistance: 'rubberBand'}});
+      let custom = mountAndOverPull({enableResistance: true, physics: {resistance: () => 0}});
+
+      expect(rubberBand).toBeGreaterThan(constant);
+      expect(rubberBand).toBeLessThan(300);
+      expect(custom).toBeCloseTo(10, 6);
+    });
+
+    it('flings shorter with more friction', () => {
+      let flingDistance = (physics) => {
+        mount({maxScale: 5, physics});
+        transformer.updateTransform({scale: 5});
+        driver.fling({x: 200, y: 400}, -1, 0);
+        let released = transformer.currentTransform().translateX;
+        driver.settle();
+        return released - transformer.currentTransform().translateX;
+      };
+      expect(flingDistance({flingFriction: 0.1})).toBeLessThan(flingDistance({flingFriction: 0.03}));
+    });
+
+    it('bounces back with a spring', () => {
+      mount({maxScale: 2, physics: {bounce: 'spring', springConfig: {friction: 3, tension: 40}}});
+      driver.pinch({x: 200, y: 400}, 100, 400, {hold: 200});
+      let minScale = Infinity;
+      for (let i = 0; i < 200; i++) {
+        driver.advance(16);
+        minScale = Math.min(minScale, transformer.currentTransform().scale);
+      }
+      driver.settle();
+      //a loose spring overshoots below the target before it rests there
+      expect(minScale).toBeLessThan(2);
+      expect(transformer.currentTransform().scale).toBeCloseTo(2, 3);
+    });
+
+    function mountAndOverPull(props) {
+      mount(Object.assign({maxScale: 3}, props));
+      driver.pan({x: 0, y: 400}, 300, 0, {steps: 30, release: false});
+      return transformer.currentTransform().translateX;
+    }
+  });
+
+  describe('fit modes', () => {
+
+    function laidOutRect() {
+      let style = transformer.render().props.children[0].props.style;
+      return [style.left, style.top, style.left + style.width, style.top + style.height];
+    }
+
+    it('lays the content out for each fit mode', () => {
+      [
+        [800, 400, undefined, [0, 300, 400, 500]],
+        [800, 400, 'contain', [0, 300, 400, 500]],
+        [800, 400, 'cover', [-600, 0, 1000, 800]],
+        [200, 1000, 'fitWidth', [0, -600, 400, 1400]],
+        [800, 400, 'none', [-200, 200, 600, 600]]
+      ].forEach(([contentWidth, contentHeight, fitMode, expected]) => {
+        mount(fitMode ? {contentWidth, contentHeight, fitMode} : {contentWidth, contentHeight});
+        let rect = transformer.contentRect();
+        expect([rect.left, rect.top, rect.right, rect.bottom]).toEqual(expected);
+        expect(laidOutRect()).toEqual(expected);
+      });
+    });
+
+    it('bounds the pan by the laid out content', () => {
+      mount({contentWidth: 800, contentHeight: 400, fitMode: 'cover'});
+      let space = transformer.getAvailableTranslateSpace();
+      expect(space.left).toBeCloseTo(600, 6);
+      expect(space.right).toBeCloseTo(600, 6);
+      expect(space.top).toBeCloseTo(0, 6);
+
+      mount({contentWidth: 800, contentHeight: 400});
+      expect(transformer.getAvailableTranslateSpace().left).toBeCloseTo(0, 6);
+    });
+  });
+
+  describe('capture policy', () => {
+
+    function captures(dx, dy, numberActiveTouches) {
+      return transformer.gestureResponder.onMoveShouldSetResponderCapture({}, {
+        dx, dy, numberActiveTouches: numberActiveTouches || 1
+      });
+    }
+
+    function yields() {
+      return transformer.gestureResponder.onResponderTerminationRequest();
+    }
+
+    it('always keeps the gesture by default', () => {
+      mount();
+      expect(yields()).toBe(false);
+      expect(captures(30, 0)).toBe(true);
+      expect(yields()).toBe(false);
+    });
+
+    it('keeps the gesture only when zoomed with whenZoomed', () => {
+      mount({maxScale: 3, gestureCapturePolicy: 'whenZoomed'});
+      expect(captures(30, 0)).toBe(false);
+      expect(yields()).toBe(true);
+
+      transformer.updateTransform({scale: 2});
+      expect(captures(30, 0)).toBe(true);
+      expect(yields()).toBe(false);
+    });
+
+    it('gives the gesture up at an edge with whenPannable', () => {
+      mount({maxScale: 3, gestureCapturePolicy: 'whenPannable'});
+      expect(captures(0, 30)).toBe(false);
+
+      //zoomed and scrolled to the left edge, like a page in a horizontal ScrollView
+      transformer.updateTransform({scale: 2, translateX: 100});
+      expect(captures(-30, 0)).toBe(true);
+      expect(yields()).toBe(false);
+      expect(captures(30, 0)).toBe(false);
+      expect(yields()).toBe(true);
+      expect(captures(0, 30)).toBe(true);
+      expect(captures(0, -30)).toBe(true);
+    });
+
+    it('always keeps pinches', () => {
+      mount({maxScale: 3, gestureCapturePolicy: 'whenZoomed'});
+      expect(captures(30, 0, 2)).toBe(true);
+      expect(yields()).toBe(false);
+    });
+
+    it('lets shouldCaptureGesture override the policy', () => {
+      let shouldCaptureGesture = jest.fn((gestureState, space) => space.left > 0);
+      mount({maxScale: 3, gestureCapturePolicy: 'always', shouldCaptureGesture});
+      expect(captures(30, 0)).toBe(false);
+      expect(shouldCaptureGesture).toHaveBeenLastCalledWith(
+        expect.objectContaining({dx: 30}), expect.objectContaining({left: 0, right: 0})
+      );
+
+      transformer.updateTransform({scale: 2});
+      expect(captures(30, 0)).toBe(true);
+    });
+  });
+
+  describe('content inset', () => {
+
+    it('fits and centers the content within the inset bounds', () => {
+      mount({contentAspectRatio: 1, contentInset: {top: 100}});
+      let rect = transformer.contentRect();
+      expect([rect.left, rect.top, rect.right, rect.bottom]).toEqual([0, 250, 400, 650]);
+      expect(transformer.render().props.children[0].props.style).toEqual(expect.objectContaining({
+        position: 'absolute', left: 0, top: 100, width: 400, height: 700
+      }));
+
+      //nothing to bounce back from
+      driver.tap({x: 200, y: 400});
+      driver.settle();
+      expect(transformer.transformedContentRect().top).toBeCloseTo(250, 6);
+    });
+
+    it('lays out sized content within the inset bounds', () => {
+      mount({contentWidth: 1000, contentHeight: 500, contentInset: {left: 40, right: 40, bottom: 200}});
+      let rect = transformer.contentRect();
+      expect([rect.left, rect.top, rect.right, rect.bottom]).toEqual([40, 220, 360, 380]);
+    });
+
+    it('aligns zoomed content with the inset bounds', () => {
+      mount({maxScale: 3, contentInset: {top: 100}});
+      transformer.updateTransform({scale: 2, translateY: 1000});
+      driver.tap({x: 200, y: 400});
+      driver.settle();
+      expect(transformer.transformedContentRect().top).toBeCloseTo(100, 6);
+    });
+  });
+
+  describe('double tap', () => {
+
+    it('toggles between 1 and maxScale around the tap', () => {
+      mount({maxScale: 3});
+      driver.doubleTap({x: 200, y: 400});
+      driver.settle();
+      expect(transformer.currentTransform().scale).toBeCloseTo(3, 6);
+
+      driver.doubleTap({x: 200, y: 400});
+      driver.settle();
+      expect(transformer.currentTransform().scale).toBeCloseTo(1, 6);
+    });
+
+    it('steps through doubleTapZoomLevels and wraps', () => {
+      mount({maxScale: 4, doubleTapZoomLevels: [1, 2, 4]});
+      let scales = [];
+      for (let i = 0; i < 3; i++) {
+        driver.doubleTap({x: 200, y: 400});
+        driver.settle();
+        scales.push(Math.round(transformer.currentTransform().scale * 1000) / 1000);
+      }
+      expect(scales).toEqual([2, 4, 1]);
+    });
+
+    it('lets onDoubleTap override the target scale', () => {
+      let onDoubleTap = jest.fn(() => ({scale: 1.5}));
+      mount({maxScale: 3, onDoubleTap});
+      driver.doubleTap({x: 100, y: 100});
+      driver.settle();
+      expect(onDoubleTap).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'doubleTap', x: 100, y: 100, contentX: 100, contentY: 100, scale: 1, targetScale: 3
+      }));
+      expect(transformer.currentTransform().scale).toBeCloseTo(1.5, 6);
+    });
+
+    it('clamps levels and overrides to maxScale', () => {
+      mount({maxScale: 3, doubleTapZoomLevels: [1, 2, 4]});
+      let scales = [];
+      for (let i = 0; i < 3; i++) {
+        driver.doubleTap({x: 200, y: 400});
+        driver.settle();
+        scales.push(Math.round(transformer.currentTransform().scale * 1000) / 1000);
+      }
+      expect(scales).toEqual([2, 3, 1]);
+
+      mount({maxScale: 3, onDoubleTap: () => ({scale: 10})});
+      driver.doubleTap({x: 200, y: 400});
+      driver.settle();
+      expect(transformer.currentTransform().scale).toBeCloseTo(3, 6);
+    });
+  });
+
+  describe('gesture events', () => {
+
+    it('reports a pan and the fling it starts', () => {
+      let events = [];
+      let record = (name) => (event) => events.push(Object.assign({name}, event));
+      mount({
+        maxScale: 3,
+        onPanStart: record('panStart'),
+        onPanEnd: record('panEnd'),
+        onFlingStart: record('flingStart'),
+        onFlingEnd: record('flingEnd')
+      });
+      transformer.updateTransform({scale: 3});
+      driver.fling({x: 200, y: 400}, -1, 0);
+      driver.settle();
+
+      expect(events.map((event) => event.name)).toEqual(['panStart', 'panEnd', 'flingStart', 'flingEnd']);
+      expect(events[1].vx).toBeCloseTo(-1, 6);
+      expect(events[1].x).toBeCloseTo(200 - 80, 6);
+      expect(events[2].vx).toBeCloseTo(-1, 6);
+      expect(events[3].transform.translateX).toBeLessThan(events[1].transform.translateX);
+    });
+
+    it('reports pinches in view and content coordinates', () => {
+      let onPinchStart = jest.fn(), onPinchEnd = jest.fn(), onPanStart = jest.fn();
+      mount({maxScale: 3, onPinchStart, onPinchEnd, onPanStart});
+      transformer.updateTransform({scale: 2});
+      driver.pinch({x: 100, y: 200}, 100, 150, {hold: 200});
+
+      expect(onPanStart).not.toHaveBeenCalled();
+      let start = onPinchStart.mock.calls[0][0];
+      expect(start.x).toBe(100);
+      expect(start.contentX).toBeCloseTo(150, 6);
+      expect(start.contentY).toBeCloseTo(300, 6);
+      expect(onPinchEnd.mock.calls[0][0].transform.scale).toBeCloseTo(3, 6);
+    });
+
+    it('reports single taps with coordinates', () => {
+      let onSingleTapConfirmed = jest.fn();
+      mount({maxScale: 3, onSingleTapConfirmed});
+      transformer.gestureResponder.onResponderSingleTapConfirmed({}, {x0: 20, y0: 40});
+      expect(onSingleTapConfirmed).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'singleTap', x: 20, y: 40, contentX: 20, contentY: 40
+      }));
+    });
+  });
+
+  describe('coordinates', () => {
+
+    it('converts between view, screen and content', () => {
+      mount({maxScale: 3}, {pageX: 10, pageY: 20});
+      transformer.updateTransform({scale: 2, translateX: 50, translateY: 0});
+
+      let viewPoint = transformer.contentToView({x: 200, y: 400});
+      expect(viewPoint.x).toBeCloseTo(300, 6);
+      expect(viewPoint.y).toBeCloseTo(400, 6);
+      let contentPoint = transformer.screenToContent(310, 420);
+      expect(contentPoint.x).toBeCloseTo(200, 6);
+      expect(contentPoint.y).toBeCloseTo(400, 6);
+    });
+
+    it('reports the visible part of the content', () => {
+      mount({maxScale: 3});
+      transformer.updateTransform({scale: 2, translateX: 50, translateY: 0});
+      let rect = transformer.visibleContentRect();
+      expect(rect.left).toBeCloseTo(50, 6);
+      expect(rect.right).toBeCloseTo(250, 6);
+      expect(rect.top).toBeCloseTo(200, 6);
+      expect(rect.bottom).toBeCloseTo(600, 6);
+    });
+  });
+
+  describe('overlay', () => {
+
+    it('keeps markers on their content point at constant size', () => {
+      let renderOverlay = jest.fn(({contentToView}) => contentToView({x: 100, y: 200}));
+      mount({maxScale: 3, renderOverlay});
+
+      //attach the overlay like a renderer would
+      let element = transformer.render().props.children[1];
+      let overlay = new element.type(element.props);
+      element.props.ref(overlay);
+
+      transformer.updateTransform({scale: 2, translateX: 10, translateY: 0});
+      let marker = overlay.render().props.children[0];
+      expect(marker.x).toBeCloseTo(2 * (100 - 200 + 10) + 200, 6);
+      expect(marker.y).toBeCloseTo(2 * (200 - 400) + 400, 6);
+      expect(renderOverlay).toHaveBeenLastCalledWith(expect.objectContaining({
+        transform: expect.objectContaining({scale: 2, translateX: 10})
+      }));
+    });
+
+    it('is not rendered without renderOverlay', () => {
+      mount();
+      expect(transformer.render().props.children[1]).toBeFalsy();
+    });
+  });
+
+  describe('web input', () => {
+
+    function wheel(nativeEvent) {
+      transformer.onWheel({nativeEvent: Object.assign({deltaX: 0, deltaY: 0, deltaMode: 0}, nativeEvent)});
+    }
+
+    it('zooms around the cursor with ctrl+wheel', () => {
+      mount({maxScale: 3, enableWheel: true});
+      let before = transformer.viewToContent({x: 100, y: 200});
+      wheel({deltaY: -50, ctrlKey: true, pageX: 100, pageY: 200});
+      expect(transformOf(transformer).scale).toBeCloseTo(Math.exp(0.5), 6);
+      let after = transformer.viewToContent({x: 100, y: 200});
+      expect(after.x).toBeCloseTo(before.x, 6);
+      expect(after.y).toBeCloseTo(before.y, 6);
+    });
+
+    it('pans with the wheel and bounces back after it stops', () => {
+      mount({maxScale: 3, enableWheel: true});
+      transformer.updateTransform({scale: 2});
+      wheel({deltaX: 30, deltaY: 1000});
+      expect(transformOf(transformer).translateX).toBeCloseTo(-15, 6);
+      expect(transformer.getAvailableTranslateSpace().bottom).toBeCloseTo(-20, 6);
+      wheel({deltaY: 1000});
+      expect(transformer.getAvailableTranslateSpace().bottom).toBeCloseTo(-20, 6);
+      driver.settle();
+      expect(transformer.getAvailableTranslateSpace().bottom).toBeCloseTo(0, 6);
+    });
+
+    it('bounces back past maxScale', () => {
+      mount({maxScale: 2, enableWheel: true, wheelAction: 'zoom'});
+      for (let i = 0; i < 5; i++) {
+        wheel({deltaY: -100, pageX: 200, pageY: 400});
+      }
+      expect(transformOf(transformer).scale).toBeGreaterThan(2);
+      driver.settle();
+      expect(transformOf(transformer).scale).toBeCloseTo(2, 6);
+    });
+
+    it('pans by dragging with the mouse', () => {
+      let onPanEnd = jest.fn();
+      mount({maxScale: 3, enableMouseDrag: true, onPanEnd});
+      transformer.updateTransform({scale: 2});
+      transformer.onMouseDown({nativeEvent: {button: 0, pageX: 200, pageY: 400}});
+      transformer.onMouseMove({nativeEvent: {pageX: 240, pageY: 400}});
+      expect(transformOf(transformer).translateX).toBeCloseTo(20, 6);
+      transformer.onMouseUp({nativeEvent: {pageX: 240, pageY: 400}});
+      expect(onPanEnd).toHaveBeenCalledTimes(1);
+      transformer.onMouseMove({nativeEvent: {pageX: 300, pageY: 400}});
+      expect(transformOf(transformer).translateX).toBeCloseTo(20, 6);
+    });
+
+    it('pans once when the responder gets the mouse drag too', () => {
+      let onPanStart = jest.fn();
+      let onPanEnd = jest.fn();
+      mount({maxScale: 3, enableMouseDrag: true, onPanStart, onPanEnd});
+      transformer.updateTransform({scale: 2});
+
+      function drag(mouseFirst) {
+        let from = transformOf(transformer).translateX;
+        let mouseDown = () => transformer.onMouseDown({nativeEvent: {button: 0, pageX: 200, pageY: 400}});
+        mouseFirst && mouseDown();
+        driver.touchDown([{x: 200, y: 400}]);
+        mouseFirst || mouseDown();
+        for (let x = 210; x <= 240; x += 10) {
+          transformer.onMouseMove({nativeEvent: {pageX: x, pageY: 400}});
+          driver.moveTo([{x, y: 400}]);
+        }
+        expect(transformOf(transformer).translateX - from).toBeCloseTo(20, 6);
+        transformer.onMouseUp({nativeEvent: {pageX: 240, pageY: 400}});
+        driver.release();
+        driver.settle();
+      }
+
+      drag(true);
+      drag(false);
+      expect(onPanStart).toHaveBeenCalledTimes(2);
+      expect(onPanEnd).toHaveBeenCalledTimes(2);
+    });
+
+    it('zooms and pans with the keyboard', () => {
+      mount({maxScale: 3, enableKeyboard: true});
+      transformer.onKeyDown({nativeEvent: {key: '+'}});
+      driver.settle();
+      expect(transformOf(transformer).scale).toBeCloseTo(1.5, 6);
+      transformer.onKeyDown({nativeEvent: {key: 'ArrowRight'}});
+      driver.settle();
+      expect(transformOf(transformer).translateX).toBeCloseTo(-40 / 1.5, 6);
+      transformer.onKeyDown({nativeEvent: {key: '0'}});
+      driver.settle();
+      expect(transformOf(transformer).scale).toBeCloseTo(1, 6);
+    });
+
+    it('is only wired when enabled', () => {
+      mount({enableWheel: true});
+      let props = transformer.render().props;
+      expect(props.onWheel).toBeDefined();
+      expect(props.onMouseDown).toBeUndefined();
+      expect(props.onKeyDown).toBeUndefined();
+    });
+  });
+
+  describe('accessibility', () => {
+
+    function action(actionName) {
+      transformer.onAccessibilityAction({nativeEvent: {actionName}});
+      driver.settle();
+    }
+
+    it('zooms, pans and announces the zoom percentage', () => {
+      mount({maxScale: 3, enableAccessibilityActions: true});
+      expect(transformer.render().props.accessibilityValue).toEqual({text: '100%'});
+
+      action('increment');
+      expect(transformOf(transformer).scale).toBeCloseTo(1.5, 6);
+      expect(transformer.render().props.accessibilityValue).toEqual({text: '150%'});
+
+      action('panLeft');
+      expect(transformOf(transformer).translateX).toBeCloseTo(40 / 1.5, 6);
+      action('zoomOut');
+      expect(transformOf(transformer).scale).toBeCloseTo(1, 6);
+    });
+
+    it('announces the zoom percentage only when the gesture settles in controlled mode', () => {
+      let onTransformChange = jest.fn((transform) => setProps(transformer, {transform}));
+      mount({maxScale: 3, enableAccessibilityActions: true, transform: {scale: 1}, onTransformChange});
+      jest.spyOn(transformer, 'setState');
+      driver.pinch({x: 200, y: 400}, 100, 200, {hold: 200, release: false});
+      expect(transformOf(transformer).scale).toBeCloseTo(2, 6);
+      expect(transformer.setState).not.toHaveBeenCalled();
+
+      driver.release();
+      driver.settle();
+      expect(transformer.setState).toHaveBeenCalledTimes(1);
+      expect(transformer.render().props.accessibilityValue).toEqual({text: '200%'});
+    });
+
+    it('announces the zoom percentage of a transform set while idle', () => {
+      mount({maxScale: 3, enableAccessibilityActions: true});
+      transformer.updateTransform({scale: 2.5});
+      expect(transformer.render().props.accessibilityValue).toEqual({text: '250%'});
+
+      mount({maxScale: 3, enableAccessibilityActions: true, transform: {scale: 1}});
+      setProps(transformer, {transform: {scale: 2.5}});
+      expect(transformer.render().props.accessibilityValue).toEqual({text: '250%'});
+    });
+
+    it('does not announce the frames of an animation', () => {
+      mount({maxScale: 3, enableAccessibilityActions: true});
+      jest.spyOn(transformer, 'setState');
+      transformer.animateTo({scale: 2.5});
+      jest.advanceTimersByTime(100);
+      expect(transformOf(transformer).scale).toBeGreaterThan(1);
+      expect(transformer.setState).not.toHaveBeenCalled();
+
+      driver.settle();
+      expect(transformer.setState).toHaveBeenCalledTimes(1);
+      expect(transformer.render().props.accessibilityValue).toEqual({text: '250%'});
+    });
+
+    it('labels the actions', () => {
+      mount({enableAccessibilityActions: true, accessibilityActionLabels: {zoomIn: 'Agrandir'}});
+      let actions = transformer.render().props.accessibilityActions;
+      expect(actions).toContainEqual({name: 'zoomIn', label: 'Agrandir'});
+      expect(actions).toContainEqual({name: 'panDown', label: 'Pan down'});
+    });
+
+    it('is off by default so that children stay accessible', () => {
+      mount();
+      expect(transformer.render().props.accessible).toBeUndefined();
+    });
+
+    it('jumps to the end of animations with reduceMotion', () => {
+      let onAnimationEnd = jest.fn();
+      mount({maxScale: 3, reduceMotion: true, onAnimationEnd});
+      let promise = transformer.zoomTo(2);
+      expect(transformOf(transformer).scale).toBeCloseTo(2, 6);
+      expect(onAnimationEnd).toHaveBeenCalledTimes(1);
+      return expect(promise).resolves.toEqual(expect.objectContaining({scale: 2}));
+    });
+
+    it('skips flings with reduceMotion', () => {
+      mount({maxScale: 3, reduceMotion: true});
+      transformer.updateTransform({scale: 2});
+      driver.fling({x: 200, y: 400}, -100, 0);
+      let translateX = transformOf(transformer).translateX;
+      driver.advance(16);
+      expect(transformOf(transformer).translateX).toBe(translateX);
+    });
+  });
+
+  describe('persistence', () => {
+
+    function flushPromises(count = 10) {
+      return count > 0 ? Promise.resolve().then(() => flushPromises(count - 1)) : Promise.resolve();
+    }
+
+    function memoryStorage(items) {
+      return {
+        items: Object.assign({}, items),
+        getItem(key) {
+          return Promise.resolve(this.items[key] || null);
+        },
+        setItem(key, value) {
+          this.items[key] = value;
+          return Promise.resolve();
+        }
+      };
+    }
+
+    it('starts at initialTransform', () => {
+      let onViewTransformed = jest.fn();
+      mount({maxScale: 3, initialTransform: {scale: 2, translateX: 30}, onViewTransformed});
+      expect(transformOf(transformer)).toEqual({scale: 2, translateX: 30, translateY: 0, rotate: 0});
+      expect(onViewTransformed).toHaveBeenCalledWith({scale: 2, translateX: 30, translateY: 0, rotate: 0});
+    });
+
+    it('fills the view with initialRect once laid out', () => {
+      mount({maxScale: 3, initialRect: new ViewTransformer.Rect(0, 0, 200, 400)});
+      expect(transformOf(transformer).scale).toBeCloseTo(2, 6);
+      let topLeft = transformer.contentToView({x: 0, y: 0});
+      expect(topLeft.x).toBeCloseTo(0, 6);
+      expect(topLeft.y).toBeCloseTo(0, 6);
+    });
+
+    it('resets to initialTransform or initialRect', () => {
+      mount({maxScale: 3, initialTransform: {scale: 2, translateX: 30}});
+      transformer.updateTransform({scale: 3, translateX: -20});
+      transformer.reset();
+      driver.settle();
+      expect(transformOf(transformer).scale).toBeCloseTo(2, 6);
+      expect(transformOf(transformer).translateX).toBeCloseTo(30, 6);
+
+      mount({maxScale: 3, initialRect: new ViewTransformer.Rect(0, 0, 200, 400)});
+      transformer.updateTransform({scale: 1, translateX: 0});
+      transformer.reset();
+      driver.settle();
+      expect(transformOf(transformer).scale).toBeCloseTo(2, 6);
+      let topLeft = transformer.contentToView({x: 0, y: 0});
+      expect(topLeft.x).toBeCloseTo(0, 6);
+      expect(topLeft.y).toBeCloseTo(0, 6);
+    });
+
+    it('restores a snapshot on another view size', () => {
+      mount({maxScale: 4, contentWidth: 1000, contentHeight: 1000});
+      transformer.updateTransform({scale: 3, translateX: 40, translateY: -60});
+      let snapshot = JSON.parse(JSON.stringify(transformer.getTransformSnapshot()));
+      let center = transformer.viewToContent({x: 200, y: 400});
+
+      mount({maxScale: 4, contentWidth: 1000, contentHeight: 1000}, {width: 800, height: 400});
+      transformer.restoreTransformSnapshot(snapshot);
+      expect(transformOf(transformer).scale).toBeCloseTo(3, 6);
+      //the same part of the content is at the center, scaled to the new content size
+      let restored = transformer.viewToContent({x: 400, y: 200});
+      let contentRect = transformer.contentRect();
+      expect((restored.x - contentRect.left) / contentRect.width()).toBeCloseTo(center.x / 400, 6);
+      expect((restored.y - contentRect.top) / contentRect.height()).toBeCloseTo((center.y - 200) / 400, 6);
+    });
+
+    it('restores from and saves to transformStorage', () => {
+      let snapshot = {scale: 2, rotate: 0, centerX: 0.25, centerY: 0.5};
+      let transformStorage = memoryStorage({doc: JSON.stringify(snapshot)});
+      mount({maxScale: 3, transformStorage, transformStorageKey: 'doc'});
+      return flushPromises().then(() => {
+        expect(transformOf(transformer).scale).toBeCloseTo(2, 6);
+        expect(transformOf(transformer).translateX).toBeCloseTo(100, 6);
+
+        transformer.zoomTo(3);
+        driver.settle();
+        expect(JSON.parse(transformStorage.items.doc).scale).toBeCloseTo(3, 6);
+      });
+    });
+
+    it('does not touch transformStorage in controlled mode', () => {
+      let transformStorage = memoryStorage();
+      jest.spyOn(transformStorage, 'getItem');
+      jest.spyOn(transformStorage, 'setItem');
+      let onTransformChange = jest.fn((transform) => setProps(transformer, {transform}));
+      mount({maxScale: 3, transform: {scale: 2}, onTransformChange, transformStorage, transformStorageKey: 'doc'});
+      driver.pan({x: 200, y: 400}, 50, 0);
+      driver.settle();
+      expect(onTransformChange.mock.calls.length).toBeGreaterThan(10);
+      expect(transformStorage.getItem).not.toHaveBeenCalled();
+      expect(transformStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('saves once per settled gesture', () => {
+      let transformStorage = memoryStorage();
+      jest.spyOn(transformStorage, 'setItem');
+      mount({maxScale: 3, transformStorage, transformStorageKey: 'doc'});
+      return flushPromises().then(() => {
+        transformer.updateTransform({scale: 2});
+        driver.pan({x: 200, y: 400}, 50, 0, {steps: 10, dt: 100});
+        driver.settle();
+        expect(transformStorage.setItem).toHaveBeenCalledTimes(1);
+      });
+    });
+  });
+
+  describe('layout change', () => {
+
+    function layout(width, height) {
+      transformer.onLayout({nativeEvent: {layout: {x: 0, y: 0, width, height}}});
+    }
+
+    function contentFraction(viewPoint) {
+      let point = transformer.viewToContent(viewPoint);
+      let contentRect = transformer.contentRect();
+      return {
+        x: (point.x - contentRect.left) / contentRect.width(),
+        y: (point.y - contentRect.top) / contentRect.height()
+      };
+    }
+
+    it('keeps the visible center when the device rotates', () => {
+      mount({maxScale: 4, contentWidth: 1000, contentHeight: 1000});
+      transformer.updateTransform({scale: 3, translateX: 40, translateY: -30});
+      let center = contentFraction({x: 200, y: 400});
+      layout(800, 400);
+      expect(transformOf(transformer).scale).toBeCloseTo(3, 6);
+      let after = contentFraction({x: 400, y: 200});
+      expect(after.x).toBeCloseTo(center.x, 6);
+      expect(after.y).toBeCloseTo(center.y, 6);
+    });
+
+    it('keeps the top left corner', () => {
+      mount({maxScale: 4, layoutChangeBehavior: 'topLeft'});
+      transformer.updateTransform({scale: 3, translateX: 40, translateY: -30});
+      let topLeft = contentFraction({x: 0, y: 0});
+      layout(300, 600);
+      let after = contentFraction({x: 0, y: 0});
+      expect(after.x).toBeCloseTo(topLeft.x, 6);
+      expect(after.y).toBeCloseTo(topLeft.y, 6);
+    });
+
+    it('re-aligns the content with the view', () => {
+      mount({maxScale: 4});
+      transformer.updateTransform({scale: 2, translateX: 100});
+      layout(400, 400);
+      let space = transformer.getAvailableTranslateSpace();
+      expect(space.left).toBeCloseTo(0, 6);
+      expect(space.top).toBeGreaterThanOrEqual(0);
+      expect(space.bottom).toBeGreaterThanOrEqual(0);
+    });
+
+    it('keeps the raw transform with none', () => {
+      mount({maxScale: 4, layoutChangeBehavior: 'none'});
+      transformer.updateTransform({scale: 3, translateX: 40, translateY: -30});
+      layout(800, 400);
+      expect(transformOf(transformer)).toEqual({scale: 3, translateX: 40, translateY: -30, rotate: 0});
+    });
+  });
+
+  describe('swipe to dismiss', () => {
+
+    it('moves the content and reports the progress', () => {
+      let onDismissProgress = jest.fn();
+      let onDismiss = jest.fn();
+      mount({enableSwipeToDismiss: true, onDismissProgress, onDismiss});
+      driver.pan({x: 200, y: 400}, 0, 100, {release: false, dt: 100});
+      expect(transformOf(transformer).translateY).toBeCloseTo(100, 6);
+      expect(onDismissProgress).toHaveBeenLastCalledWith(0.25);
+      driver.release();
+      expect(onDismiss).not.toHaveBeenCalled();
+      driver.settle();
+      expect(transformOf(transformer).translateY).toBeCloseTo(0, 6);
+      expect(onDismissProgress.mock.calls[onDismissProgress.mock.calls.length - 1][0]).toBeCloseTo(0, 6);
+    });
+
+    it('dismisses past the distance or velocity threshold', () => {
+      let onDismiss = jest.fn();
+      mount({enableSwipeToDismiss: true, onDismiss});
+      driver.pan({x: 200, y: 400}, 0, -200, {dt: 100});
+      expect(onDismiss).toHaveBeenCalledTimes(1);
+      expect(transformOf(transformer).translateY).toBeCloseTo(-200, 6);
+
+      mount({enableSwipeToDismiss: true, onDismiss});
+      driver.fling({x: 200, y: 400}, 0, 2);
+      expect(onDismiss).toHaveBeenCalledTimes(2);
+    });
+
+    it('pans zoomed content with vertical room', () => {
+      let onDismissProgress = jest.fn();
+      mount({maxScale: 3, enableSwipeToDismiss: true, onDismissProgress});
+      transformer.updateTransform({scale: 2});
+      driver.pan({x: 200, y: 400}, 0, 100);
+      expect(onDismissProgress).not.toHaveBeenCalled();
+      expect(transformOf(transformer).translateY).toBeCloseTo(50, 6);
+    });
+
+    it('dismisses in controlled mode', () => {
+      let onDismiss = jest.fn();
+      let onTransformChange = jest.fn((transform) => setProps(transformer, {transform}));
+      mount({enableSwipeToDismiss: true, transform: {scale: 1}, onTransformChange, onDismiss});
+      driver.pan({x: 200, y: 400}, 0, 400, {dt: 100});
+      expect(transformOf(transformer).translateY).toBeCloseTo(400, 6);
+      expect(onDismiss).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports the progress back to 0 in controlled mode', () => {
+      let onDismissProgress = jest.fn();
+      let onTransformChange = jest.fn((transform) => setProps(transformer, {transform}));
+      mount({enableSwipeToDismiss: true, transform: {scale: 1}, onTransformChange, onDismissProgress});
+      driver.pan({x: 200, y: 400}, 0, 60, {dt: 100});
+      expect(onDismissProgress).toHaveBeenLastCalledWith(0.15);
+      driver.settle();
+      expect(onDismissProgress.mock.calls[onDismissProgress.mock.calls.length - 1][0]).toBeCloseTo(0, 6);
+    });
+
+    it('forgets the swipe when onTransformGestureReleased handles the release', () => {
+      let onDismissProgress = jest.fn();
+      mount({enableSwipeToDismiss: true, onDismissProgress, onTransformGestureReleased: () => true});
+      driver.pan({x: 200, y: 400}, 0, 100, {dt: 100});
+      expect(onDismissProgress).toHaveBeenLastCalledWith(0.25);
+
+      onDismissProgress.mockClear();
+      transformer.updateTransform({translateY: 0});
+      expect(onDismissProgress).not.toHaveBeenCalled();
+      driver.pan({x: 200, y: 400}, 0, 60, {dt: 100});
+      expect(onDismissProgress).toHaveBeenLastCalledWith(0.15);
+    });
+
+    it('never turns a horizontal pan into a dismiss', () => {
+      let onDismissProgress = jest.fn();
+      mount({maxScale: 3, enableSwipeToDismiss: true, onDismissProgress});
+      driver.touchDown([{x: 200, y: 400}]);
+      driver.moveTo([{x: 230, y: 400}]);
+      driver.moveTo([{x: 230, y: 500}]);
+      driver.release();
+      expect(onDismissProgress).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('animated API', () => {
+
+    it('resolves with the final transform', () => {
+      let onAnimationEnd = jest.fn();
+      mount({maxScale: 3, onAnimationEnd});
+      let promise = transformer.zoomTo(2);
+      driver.settle();
+      return promise.then((transform) => {
+        expect(transform.scale).toBeCloseTo(2, 6);
+        expect(onAnimationEnd.mock.calls[0][0].transform.scale).toBeCloseTo(2, 6);
+      });
+    });
+
+    it('clamps to maxScale and bounds', () => {
+      mount({maxScale: 3});
+      let promise = transformer.animateTo({scale: 5, translateX: 1000});
+      driver.settle();
+      return promise.then((transform) => {
+        expect(transform.scale).toBeCloseTo(3, 6);
+        expect(transformer.getAvailableTranslateSpace().left).toBeCloseTo(0, 6);
+      });
+    });
+
+    it('rejects when a gesture cancels the animation', () => {
+      mount({maxScale: 3});
+      let promise = transformer.zoomTo(2);
+      driver.advance(50);
+      driver.pan({x: 200, y: 400}, 10, 0, {release: false});
+      return expect(promise).rejects.toThrow('cancelled');
+    });
+
+    it('resets', () => {
+      mount({maxScale: 3});
+      transformer.updateTransform({scale: 2, translateX: 50});
+      let promise = transformer.reset();
+      driver.settle();
+      return promise.then((transform) => {
+        expect(transform.scale).toBeCloseTo(1, 6);
+        expect(transform.translateX).toBeCloseTo(0, 6);
+      });
+    });
+  });
+
+  describe('controlled mode', () => {
+
+    it('only reports changes until the parent passes them back', () => {
+      let onTransformChange = jest.fn();
+      mount({maxScale: 3, transform: {scale: 2, translateX: 0, translateY: 0}, onTransformChange});
+      driver.pan({x: 200, y: 400}, 50, 0, {release: false});
+
+      expect(transformer.currentTransform().translateX).toBe(0);
+      let reported = onTransformChange.mock.calls[onTransformChange.mock.calls.length - 1][0];
+      expect(reported.translateX).toBeCloseTo(2.5, 6);
+
+      setProps(transformer, {transform: reported});
+      expect(transformer.currentTransform().translateX).toBeCloseTo(2.5, 6);
+    });
+
+    it('does not pass the transform model to the View', () => {
+      mount({transform: {scale: 1}, onTransformChange: () => {}, initialTransform: {scale: 2}, testID: 'viewer'});
+      let props = transformer.render().props;
+      expect(props.transform).toBeUndefined();
+      expect(props.onTransformChange).toBeUndefined();
+      expect(props.initialTransform).toBeUndefined();
+      expect(props.testID).toBe('viewer');
+    });
+  });
+});
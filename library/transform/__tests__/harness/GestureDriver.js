@@ -0,0 +1,295 @@
+'use strict';
+
+/**
+ * Scripted gestures for a headlessly mounted ViewTransformer.
+ * Requires jest fake timers, and the mocks in this folder for react, react-native and react-native-gesture-responder:
+ *
+ *   jest.mock('react', () => require('./harness/ReactMock'), {virtual: true});
+ *   jest.mock('react-native', () => require('./harness/ReactNativeMock'), {virtual: true});
+ *   jest.mock('react-native-gesture-responder', () => require('./harness/GestureResponderMock'));
+ *
+ * All points are in page(screen) coordinates.
+ */
+
+import ReactNative from 'react-native';
+
+const FRAME = 16;
+
+function centroid(points) {
+  let x = 0, y = 0;
+  points.forEach((point) => {
+    x += point.x;
+    y += point.y;
+  });
+  return {
+    x: x / points.length,
+    y: y / points.length
+  };
+}
+
+function distance(a, b) {
+  return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+}
+
+function fingersAround(center, fingerDistance, degrees) {
+  let radians = degrees * Math.PI / 180;
+  let dx = Math.cos(radians) * fingerDistance / 2;
+  let dy = Math.sin(radians) * fingerDistance / 2;
+  return [
+    {x: center.x - dx, y: center.y - dy},
+    {x: center.x + dx, y: center.y + dy}
+  ];
+}
+
+/**
+ * Instantiate, mount and lay out a ViewTransformer without a renderer. A ref prop is attached before the layout.
+ * @param ViewTransformer
+ * @param props
+ * @param layout {width, height, pageX, pageY}
+ * @returns {ViewTransformer}
+ */
+export function mountTransformer(ViewTransformer, props, layout) {
+  layout = Object.assign({width: 400, height: 800, pageX: 0, pageY: 0}, layout);
+  ReactNative.__layout.pageX = layout.pageX;
+  ReactNative.__layout.pageY = layout.pageY;
+
+  let transformer = new ViewTransformer(Object.assign({}, ViewTransformer.defaultProps, props));
+  transformer.componentWillMount();
+  props && props.ref && props.ref(transformer);
+  transformer.onLayout({nativeEvent: {layout: {x: 0, y: 0, width: layout.width, height: layout.height}}});
+  return transformer;
+}
+
+/**
+ * Update the props of a mounted component like a parent re-render would.
+ * @param component
+ * @param props
+ */
+export function setProps(component, props) {
+  let nextProps = Object.assign({}, component.props, props);
+  component.componentWillReceiveProps && component.componentWillReceiveProps(nextProps);
+  component.props = nextProps;
+}
+
+export default class GestureDriver {
+
+  constructor(transformer) {
+    this.responder = transformer.gestureResponder;
+    this.touches = [];
+    this.gestureState = null;
+  }
+
+  event() {
+    return {
+      nativeEvent: {
+        touches: this.touches.filter((touch) => touch.touchActive)
+      },
+      touchHistory: {
+        touchBank: this.touches,
+        numberActiveTouches: this.touches.length,
+        mostRecentTimeStamp: Date.now()
+      }
+    };
+  }
+
+  touchDown(points) {
+    let now = Date.now();
+    this.touches = points.map((point) => ({
+      touchActive: true,
+      currentPageX: point.x,
+      currentPageY: point.y,
+      previousPageX: point.x,
+      previousPageY: point.y,
+      currentTimeStamp: now
+    }));
+
+    let center = centroid(points);
+    this.gestureState = {
+      x0: center.x,
+      y0: center.y,
+      moveX: center.x,
+      moveY: center.y,
+      previousMoveX: center.x,
+      previousMoveY: center.y,
+      dx: 0,
+      dy: 0,
+      vx: 0,
+      vy: 0,
+      numberActiveTouches: points.length,
+      pinch: undefined,
+      previousPinch: undefined,
+      singleTapUp: false,
+      doubleTapUp: false
+    };
+
+    let evt = this.event();
+    this.responder.onStartShouldSetResponder(evt, this.gestureState);
+    this.responder.onResponderGrant(evt, this.gestureState);
+  }
+
+  moveTo(points, dt) {
+    dt = dt || FRAME;
+    jest.advanceTimersByTime(dt);
+
+    let now = Date.now();
+    let previousPoints = this.touches.map((touch) => ({x: touch.currentPageX, y: touch.currentPageY}));
+    this.touches.forEach((touch, i) => {
+      touch.previousPageX = touch.currentPageX;
+      touch.previousPageY = touch.currentPageY;
+      touch.currentPageX = points[i].x;
+      touch.currentPageY = points[i].y;
+      touch.currentTimeStamp = now;
+    });
+
+    let gestureState = this.gestureState;
+    let previousCenter = centroid(previousPoints);
+    let center = centroid(points);
+    gestureState.previousMoveX = previousCenter.x;
+    gestureState.previousMoveY = previousCenter.y;
+    gestureState.moveX = center.x;
+    gestureState.moveY = center.y;
+    gestureState.dx += center.x - previousCenter.x;
+    gestureState.dy += center.y - previousCenter.y;
+    gestureState.vx = (center.x - previousCenter.x) / dt;
+    gestureState.vy = (center.y - previousCenter.y) / dt;
+    if (points.length > 1) {
+      gestureState.previousPinch = distance(previousPoints[0], previousPoints[1]);
+      gestureState.pinch = distance(points[0], points[1]);
+    }
+
+    let evt = this.event();
+    this.responder.onMoveShouldSetResponderCapture(evt, gestureState);
+    this.responder.onResponderMove(evt, gestureState);
+  }
+
+  release(extraGestureState) {
+    Object.assign(this.gestureState, extraGestureState);
+    this.touches.forEach((touch) => touch.touchActive = false);
+    this.responder.onResponderRelease(this.event(), this.gestureState);
+  }
+
+  /**
+   * Pan one finger from a point by dx, dy.
+   * @param from {x, y}
+   * @param dx
+   * @param dy
+   * @param options {steps, dt, release}
+   */
+  pan(from, dx, dy, options) {
+    options = Object.assign({steps: 10, dt: FRAME, release: true}, options);
+    this.touchDown([from]);
+    for (let i = 1; i <= options.steps; i++) {
+      this.moveTo([{
+        x: from.x + dx * i / options.steps,
+        y: from.y + dy * i / options.steps
+      }], options.dt);
+    }
+    if (options.release) {
+      this.release();
+    }
+  }
+
+  /**
+   * Pan one finger at a constant velocity and release, the release velocity starts a fling.
+   * @param from {x, y}
+   * @param vx pixels per millisecond
+   * @param vy pixels per millisecond
+   * @param options {steps}
+   */
+  fling(from, vx, vy, options) {
+    options = Object.assign({steps: 5}, options);
+    this.pan(from, vx * FRAME * options.steps, vy * FRAME * options.steps, {steps: options.steps});
+  }
+
+  /**
+   * Pinch two fingers around center, optionally rotating them.
+   * @param center {x, y}
+   * @param fromDistance distance between the fingers at the start
+   * @param toDistance distance between the fingers at the end
+   * @param options {steps, fromAngle, toAngle, release, hold}, hold being the milliseconds the fingers rest before lifting
+   */
+  pinch(center, fromDistance, toDistance, options) {
+    options = Object.assign({steps: 10, fromAngle: 0, toAngle: 0, release: true, hold: 0}, options);
+    this.touchDown(fingersAround(center, fromDistance, options.fromAngle));
+    for (let i = 1; i <= options.steps; i++) {
+      let progress = i / options.steps;
+      this.moveTo(fingersAround(
+        center,
+        fromDistance + (toDistance - fromDistance) * progress,
+        options.fromAngle + (options.toAngle - options.fromAngle) * progress
+      ));
+    }
+    if (options.hold) {
+      jest.advanceTimersByTime(options.hold);
+    }
+    if (options.release) {
+      this.release();
+    }
+  }
+
+  tap(point) {
+    this.touchDown([point]);
+    this.release({singleTapUp: true});
+  }
+
+  doubleTap(point) {
+    this.tap(point);
+    jest.advanceTimersByTime(100);
+    this.touchDown([point]);
+    this.release({singleTapUp: true, doubleTapUp: true});
+  }
+
+  /**
+   * Advance the (fake) clock, running animations and the fling Scroller.
+   * @param ms
+   */
+  advance(ms) {
+    jest.advanceTimersByTime(ms);
+  }
+
+  /**
+   * Run animations, flings and bounces until they all finish.
+   */
+  settle() {
+    jest.runAllTimers();
+  }
+}
+
+/**
+ * The Scroller schedules its frames with requestAnimationFrame, run them on the fake timers.
+ */
+export function installAnimationFrame() {
+  global.requestAnimationFrame = (callback) => setTimeout(() => callback(Date.now()), FRAME);
+  global.cancelAnimationFrame = (id) => clearTimeout(id);
+}
+
+/**
+ * The transform of a ViewTransformer as a plain object, for toEqual.
+ * @param transformer
+ * @returns {{scale, translateX, translateY, rotate}}
+ */
+export function transformOf(transformer) {
+  let transform = transformer.currentTransform();
+  return {
+    scale: transform.scale,
+    translateX: transform.translateX,
+    translateY: transform.translateY,
+    rotate: transform.rotate
+  };
+}
+
+/**
+ * Call in a describe block: runs every test on fake timers with animation frames, and silences the console logs.
+ */
+export function setUpHarness() {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    installAnimationFrame();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+  });
+}
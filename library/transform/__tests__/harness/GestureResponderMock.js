@@ -0,0 +1,8 @@
+'use strict';
+
+/**
+ * The handlers are the config itself, so that the driver calls them with a gestureState it builds.
+ */
+module.exports = {
+  createResponder: (config) => Object.assign({}, config)
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Just enough of React to instantiate components headlessly: no renderer, setState applies synchronously.
+ */
+
+class Component {
+  constructor(props) {
+    this.props = props;
+    this.refs = {};
+  }
+
+  setState(state, callback) {
+    if (typeof state === 'function') {
+      state = state(this.state, this.props);
+    }
+    this.state = Object.assign({}, this.state, state);
+    callback && callback();
+  }
+
+  forceUpdate() {
+  }
+}
+
+function validator() {
+  return null;
+}
+validator.isRequired = validator;
+
+const PropTypes = {
+  any: validator,
+  array: validator,
+  bool: validator,
+  func: validator,
+  number: validator,
+  object: validator,
+  string: validator,
+  node: validator,
+  element: validator,
+  shape: () => validator,
+  oneOf: () => validator,
+  oneOfType: () => validator,
+  arrayOf: () => validator,
+  objectOf: () => validator,
+  instanceOf: () => validator
+};
+
+function createElement(type, props, ...children) {
+  return {type, props: Object.assign({}, props, {children})};
+}
+
+module.exports = {
+  Component,
+  PropTypes,
+  createElement
+};
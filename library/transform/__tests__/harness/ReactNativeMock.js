@@ -0,0 +1,183 @@
+'use strict';
+
+/**
+ * Headless react-native: Animated runs on (fake) timers, measure reports the configured page position.
+ */
+
+const FRAME = 16;
+
+class AnimatedValue {
+  constructor(value) {
+    this._value = value;
+    this._listeners = {};
+    this._listenerId = 0;
+    this._animation = null;
+  }
+
+  setValue(value) {
+    this.stopAnimation();
+    this._update(value);
+  }
+
+  _update(value) {
+    this._value = value;
+    Object.keys(this._listeners).forEach((id) => this._listeners[id]({value}));
+  }
+
+  __getValue() {
+    return this._value;
+  }
+
+  addListener(callback) {
+    let id = String(this._listenerId++);
+    this._listeners[id] = callback;
+    return id;
+  }
+
+  removeListener(id) {
+    delete this._listeners[id];
+  }
+
+  removeAllListeners() {
+    this._listeners = {};
+  }
+
+  stopAnimation(callback) {
+    if (this._animation) {
+      let animation = this._animation;
+      this._animation = null;
+      animation.stop();
+    }
+    callback && callback(this._value);
+  }
+
+  interpolate(config) {
+    return {interpolation: config, value: this};
+  }
+}
+
+function timing(value, config) {
+  let easing = config.easing || ((t) => t);
+  let duration = config.duration === undefined ? 500 : config.duration;
+  return {
+    start(callback) {
+      value.stopAnimation();
+      let fromValue = value.__getValue();
+      let elapsed = 0;
+      let timeoutId;
+      let animation = {
+        stop() {
+          clearTimeout(timeoutId);
+          callback && callback({finished: false});
+        }
+      };
+      let step = () => {
+        elapsed = Math.min(elapsed + FRAME, duration);
+        let progress = duration > 0 ? easing(elapsed / duration) : 1;
+        value._update(fromValue + (config.toValue - fromValue) * progress);
+        if (elapsed >= duration) {
+          value._animation = null;
+          callback && callback({finished: true});
+        } else {
+          timeoutId = setTimeout(step, FRAME);
+        }
+      };
+      value._animation = animation;
+      timeoutId = setTimeout(step, FRAME);
+    },
+
+    stop() {
+      value.stopAnimation();
+    }
+  };
+}
+
+/**
+ * Origami spring like the one of Animated.spring, stepped at 60fps.
+ */
+function spring(value, config) {
+  let tension = ((config.tension === undefined ? 40 : config.tension) - 30) * 3.62 + 194;
+  let friction = ((config.friction === undefined ? 7 : config.friction) - 8) * 3 + 25;
+  return {
+    start(callback) {
+      value.stopAnimation();
+      let position = value.__getValue();
+      let velocity = 0;
+      let timeoutId;
+      let animation = {
+        stop() {
+          clearTimeout(timeoutId);
+          callback && callback({finished: false});
+        }
+      };
+      let step = () => {
+        for (let i = 0; i < 4; i++) {
+          let acceleration = tension * (config.toValue - position) - friction * velocity;
+          velocity += acceleration * FRAME / 4000;
+          position += velocity * FRAME / 4000;
+        }
+        if (Math.abs(velocity) < 0.001 && Math.abs(config.toValue - position) < 0.001) {
+          value._animation = null;
+          value._update(config.toValue);
+          callback && callback({finished: true});
+        } else {
+          value._update(position);
+          timeoutId = setTimeout(step, FRAME);
+        }
+      };
+      value._animation = animation;
+      timeoutId = setTimeout(step, FRAME);
+    },
+
+    stop() {
+      value.stopAnimation();
+    }
+  };
+}
+
+function ease(t) {
+  return t * t * (3 - 2 * t);
+}
+
+const Easing = {
+  linear: (t) => t,
+  ease: ease,
+  quad: (t) => t * t,
+  cubic: (t) => t * t * t,
+  in: (easing) => easing,
+  out: (easing) => (t) => 1 - easing(1 - t),
+  inOut: (easing) => (t) => t < 0.5 ? easing(t * 2) / 2 : 1 - easing((1 - t) * 2) / 2
+};
+
+const layout = {
+  pageX: 0,
+  pageY: 0
+};
+
+module.exports = {
+  View: 'View',
+  Image: 'Image',
+  PixelRatio: {
+    get: () => 2
+  },
+  Animated: {
+    Value: AnimatedValue,
+    View: 'Animated.View',
+    timing,
+    spring
+  },
+  Easing,
+  NativeModules: {
+    UIManager: {
+      measure(handle, callback) {
+        callback(0, 0, 0, 0, layout.pageX, layout.pageY);
+      }
+    }
+  },
+  findNodeHandle: () => 1,
+
+  /**
+   * The page position reported by measure.
+   */
+  __layout: layout
+};
@@ -0,0 +1,289 @@
+'use strict';
+
+import React from 'react';
+import {
+  View,
+  Animated,
+  Easing
+} from 'react-native';
+
+import ViewTransformer from '../transform/ViewTransformer';
+import {
+  Rect,
+  getTransform
+} from '../transform/TransformUtils';
+
+/**
+ * Where the view in rect lands once scaled by transform around the center of containerRect,
+ * like the style transform of a view filling containerRect.
+ * @param rect
+ * @param transform
+ * @param containerRect
+ * @returns {Rect}
+ */
+function mappedRect(rect, transform, containerRect) {
+  let mapX = (x) => containerRect.centerX() + transform.scale * (x - containerRect.centerX() + transform.translateX);
+  let mapY = (y) => containerRect.centerY() + transform.scale * (y - containerRect.centerY() + transform.translateY);
+  return new Rect(mapX(rect.left), mapY(rect.top), mapX(rect.right), mapY(rect.bottom));
+}
+
+/**
+ * A shared element transition: the content grows from sourceRect, e.g. a thumbnail in a list, into a full screen
+ * ViewTransformer when mounted, and shrinks back on close() or when swiped away vertically.
+ * Render it above everything else, e.g. at the root of the app, and unmount it in onClosed.
+ */
+export default class TransformTransition extends React.Component {
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      //layout
+      width: 0,
+      height: 0
+    };
+
+    this._rect = null; //where the content is drawn, null until the transition starts
+    this._backgroundOpacity = 0;
+    this.animatedTransform = {
+      scale: new Animated.Value(1),
+      translateX: new Animated.Value(0),
+      translateY: new Animated.Value(0)
+    };
+    this.animatedBackgroundOpacity = new Animated.Value(0);
+    this.animatedContentOpacity = new Animated.Value(0); //hidden until placed at sourceRect
+    this.animator = new Animated.Value(0);
+  }
+
+  componentDidMount() {
+    this.open();
+  }
+
+  componentWillUnmount() {
+    this.animator.stopAnimation();
+  }
+
+  render() {
+    return (
+      <View
+        {...this.props}
+        style={[{position: 'absolute', left: 0, top: 0, right: 0, bottom: 0}, this.props.style]}
+        onLayout={this.onLayout.bind(this)}>
+        <Animated.View
+          style={{
+            position: 'absolute',
+            left: 0,
+            top: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: this.props.backgroundColor,
+            opacity: this.animatedBackgroundOpacity
+          }} />
+        <Animated.View
+          style={{
+            flex: 1,
+            opacity: this.animatedContentOpacity,
+            transform: [
+              {scale: this.animatedTransform.scale},
+              {translateX: this.animatedTransform.translateX},
+              {translateY: this.animatedTransform.translateY}
+            ]
+          }}>
+          <ViewTransformer
+            style={{flex: 1}}
+            {...this.props.transformerProps}
+            ref={(transformer) => this.transformer = transformer}
+            enableSwipeToDismiss={this.props.enableDismissByDrag}
+            onDismissProgress={this.onDismissProgress.bind(this)}
+            onDismiss={this.onDismiss.bind(this)}>
+            {this.props.children}
+          </ViewTransformer>
+        </Animated.View>
+      </View>
+    );
+  }
+
+  onLayout(e) {
+    const {width, height} = e.nativeEvent.layout;
+    if (width !== this.state.width || height !== this.state.height) {
+      this.setState({width, height});
+    }
+
+    this.props.onLayout && this.props.onLayout(e);
+  }
+
+  containerRect() {
+    return new Rect(0, 0, this.state.width, this.state.height);
+  }
+
+  /**
+   * The rect of the content when fully open.
+   * @returns {Rect}
+   */
+  openRect() {
+    return this.transformer.contentRect();
+  }
+
+  /**
+   * Draw the content at rect.
+   * @param rect
+   * @param backgroundOpacity
+   */
+  applyRect(rect, backgroundOpacity) {
+    this._rect = rect;
+    this._backgroundOpacity = backgroundOpacity;
+    let transform = getTransform(this.openRect(), rect);
+    this.animatedTransform.scale.setValue(transform.scale);
+    this.animatedTransform.translateX.setValue(transform.translateX);
+    this.animatedTransform.translateY.setValue(transform.translateY);
+    this.animatedBackgroundOpacity.setValue(backgroundOpacity);
+    this.animatedContentOpacity.setValue(1);
+  }
+
+  /**
+   * Animate from wherever the content is drawn, so that a new transition interrupts the running one smoothly.
+   * @param toRect
+   * @param toBackgroundOpacity
+   * @returns {Promise} resolved with true when the transition finishes, or false when it is interrupted
+   */
+  transitionTo(toRect, toBackgroundOpacity) {
+    let fromRect = this._rect;
+    let fromBackgroundOpacity = this._backgroundOpacity;
+
+    this.animator.stopAnimation();
+    this.animator.removeAllListeners();
+    this.animator.setValue(0);
+    this.animator.addListener((state) => {
+      let progress = state.value;
+      this.applyRect(new Rect(
+        fromRect.left + (toRect.left - fromRect.left) * progress,
+        fromRect.top + (toRect.top - fromRect.top) * progress,
+        fromRect.right + (toRect.right - fromRect.right) * progress,
+        fromRect.bottom + (toRect.bottom - fromRect.bottom) * progress
+      ), fromBackgroundOpacity + (toBackgroundOpacity - fromBackgroundOpacity) * progress);
+    });
+
+    return new Promise((resolve) => {
+      Animated.timing(this.animator, {
+        toValue: 1,
+        duration: this.props.duration,
+        easing: Easing.inOut(Easing.ease)
+      }).start(({finished}) => resolve(finished));
+    });
+  }
+
+  onDismissProgress(progress) {
+    this._backgroundOpacity = 1 - progress;
+    this.animatedBackgroundOpacity.setValue(this._backgroundOpacity);
+
+    let transformerProps = this.props.transformerProps;
+    transformerProps.onDismissProgress && transformerProps.onDismissProgress(progress);
+  }
+
+  onDismiss() {
+    this.close();
+
+    let transformerProps = this.props.transformerProps;
+    transformerProps.onDismiss && transformerProps.onDismiss();
+  }
+
+  // Above are private functions. Do not use them if you don't known what you are doing.
+  // ***********************************************************************************
+  // Below are public functions. Feel free to use them.
+
+
+  /**
+   * Grow the content from sourceRect into the full screen ViewTransformer. Called when mounted.
+   * @returns {Promise} resolved with true when open, or false when interrupted, e.g. by close()
+   */
+  open() {
+    return new Promise((resolve) => {
+      this.transformer.whenLaidOut(() => {
+        if (!this._rect) {
+          this.applyRect(this.props.sourceRect, 0);
+        }
+        this.transitionTo(this.openRect(), 1).then((finished) => {
+          finished && this.props.onOpened && this.props.onOpened();
+          resolve(finished);
+        });
+      });
+    });
+  }
+
+  /**
+   * Shrink the content back into sourceRect, from its current zoom, then call onClosed.
+   * @returns {Promise} resolved with true when closed, or false when interrupted, e.g. by open()
+   */
+  close() {
+    if (!this._rect) {
+      this.props.onClosed && this.props.onClosed();
+      return Promise.resolve(true);
+    }
+
+    //start from the zoomed content as it is drawn now, so that nothing jumps when the zoom is reset
+    let transformer = this.transformer;
+    let rect = mappedRect(
+      transformer.transformedContentRect(), getTransform(this.openRect(), this._rect), this.containerRect()
+    );
+    transformer.cancelAnimation();
+    transformer.updateTransform({scale: 1, translateX: 0, translateY: 0, rotate: 0});
+    this.applyRect(rect, this._backgroundOpacity);
+
+    return this.transitionTo(this.props.sourceRect, 0).then((finished) => {
+      finished && this.props.onClosed && this.props.onClosed();
+      return finished;
+    });
+  }
+
+  /**
+   * The full screen ViewTransformer.
+   * @returns {ViewTransformer}
+   */
+  getTransformer() {
+    return this.transformer;
+  }
+}
+
+TransformTransition.propTypes = {
+  /**
+   * Where the content starts and ends, e.g. a thumbnail measured with its pageX, pageY, width and height.
+   * A ViewTransformer.Rect in the coordinates of this view, which are screen coordinates when it fills the screen.
+   */
+  sourceRect: React.PropTypes.instanceOf(Rect).isRequired,
+
+  /**
+   * Props passed to the full screen ViewTransformer, e.g. {maxScale: 3, contentAspectRatio: 1.5}.
+   */
+  transformerProps: React.PropTypes.object,
+
+  /**
+   * Color of the background fading in behind the content. Default is 'black'.
+   */
+  backgroundColor: React.PropTypes.string,
+
+  /**
+   * Duration of the transition in milliseconds. Default is 300.
+   */
+  duration: React.PropTypes.number,
+
+  /**
+   * Use false to disable closing by swiping the content up or down, see enableSwipeToDismiss of ViewTransformer.
+   * Default is true.
+   */
+  enableDismissByDrag: React.PropTypes.bool,
+
+  /**
+   * Called when the content has grown full screen.
+   */
+  onOpened: React.PropTypes.func,
+
+  /**
+   * Called when the content is back at sourceRect, the time to unmount this view.
+   */
+  onClosed: React.PropTypes.func
+};
+TransformTransition.defaultProps = {
+  transformerProps: {},
+  backgroundColor: 'black',
+  duration: 300,
+  enableDismissByDrag: true
+};
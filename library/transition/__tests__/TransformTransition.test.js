@@ -0,0 +1,144 @@
+'use strict';
+
+jest.mock('react', () => require('../../transform/__tests__/harness/ReactMock'), {virtual: true});
+jest.mock('react-native', () => require('../../transform/__tests__/harness/ReactNativeMock'), {virtual: true});
+jest.mock('react-native-gesture-responder', () => require('../../transform/__tests__/harness/GestureResponderMock'));
+
+import TransformTransition from '../TransformTransition';
+import ViewTransformer from '../../transform/ViewTransformer';
+import GestureDriver, {mountTransformer, setUpHarness} from '../../transform/__tests__/harness/GestureDriver';
+
+describe('TransformTransition', () => {
+
+  const sourceRect = new ViewTransformer.Rect(20, 100, 120, 200);
+  let transition, driver;
+
+  //400x800 screen showing square content, which is 400x400 at 0, 200 when open
+  function mount(props) {
+    transition = new TransformTransition(Object.assign({}, TransformTransition.defaultProps, {
+      sourceRect,
+      transformerProps: {maxScale: 3, contentAspectRatio: 1}
+    }, props));
+    transition.onLayout({nativeEvent: {layout: {x: 0, y: 0, width: 400, height: 800}}});
+
+    //mount the ViewTransformer transition renders
+    let element = transition.render().props.children[1].props.children[0];
+    transition.transformer = mountTransformer(ViewTransformer, element.props);
+    driver = new GestureDriver(transition.transformer);
+  }
+
+  function flushPromises(count = 10) {
+    return count > 0 ? Promise.resolve().then(() => flushPromises(count - 1)) : Promise.resolve();
+  }
+
+  function drawnRect() {
+    let rect = transition._rect;
+    return [rect.left, rect.top, rect.right, rect.bottom].map((value) => Math.round(value));
+  }
+
+  setUpHarness();
+
+  afterEach(() => {
+    transition && transition.componentWillUnmount();
+  });
+
+  it('grows from sourceRect into the content rect when mounted', () => {
+    let onOpened = jest.fn();
+    mount({onOpened});
+    transition.componentDidMount();
+    expect(drawnRect()).toEqual([20, 100, 120, 200]);
+    expect(transition._backgroundOpacity).toBe(0);
+
+    jest.advanceTimersByTime(150);
+    expect(transition._backgroundOpacity).toBeGreaterThan(0);
+    expect(transition._backgroundOpacity).toBeLessThan(1);
+
+    jest.runAllTimers();
+    expect(drawnRect()).toEqual([0, 200, 400, 600]);
+    expect(transition._backgroundOpacity).toBe(1);
+    expect(transition.animatedTransform.scale.__getValue()).toBeCloseTo(1, 6);
+    return flushPromises().then(() => {
+      expect(onOpened).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('shrinks back from the current zoom on close', () => {
+    let onClosed = jest.fn();
+    mount({onClosed});
+    transition.componentDidMount();
+    jest.runAllTimers();
+
+    transition.transformer.updateTransform({scale: 2});
+    transition.close();
+    //the zoomed content is where it was drawn, now by the transition instead of the transformer
+    expect(drawnRect()).toEqual([-200, 0, 600, 800]);
+    expect(transition.transformer.currentTransform().scale).toBe(1);
+
+    jest.runAllTimers();
+    expect(drawnRect()).toEqual([20, 100, 120, 200]);
+    expect(transition._backgroundOpacity).toBe(0);
+    return flushPromises().then(() => {
+      expect(onClosed).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('is interrupted by a transition the other way', () => {
+    let onOpened = jest.fn();
+    let onClosed = jest.fn();
+    mount({onOpened, onClosed});
+    let opening = transition.open();
+    jest.advanceTimersByTime(150);
+    let rect = drawnRect();
+    let closing = transition.close();
+    expect(drawnRect()).toEqual(rect);
+
+    jest.runAllTimers();
+    expect(drawnRect()).toEqual([20, 100, 120, 200]);
+    return Promise.all([opening, closing]).then((finished) => {
+      expect(finished).toEqual([false, true]);
+      expect(onOpened).not.toHaveBeenCalled();
+      expect(onClosed).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('closes when swiped far enough and fades the background', () => {
+    let onClosed = jest.fn();
+    mount({onClosed});
+    transition.componentDidMount();
+    jest.runAllTimers();
+
+    driver.pan({x: 200, y: 400}, 0, 200, {release: false, dt: 100});
+    expect(transition._backgroundOpacity).toBeCloseTo(0.5, 6);
+    driver.release();
+    //the swiped content is where it was drawn, now by the transition
+    expect(drawnRect()).toEqual([0, 400, 400, 800]);
+    jest.runAllTimers();
+    return flushPromises().then(() => {
+      expect(drawnRect()).toEqual([20, 100, 120, 200]);
+      expect(onClosed).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('springs back when swiped a little', () => {
+    let onClosed = jest.fn();
+    mount({onClosed});
+    transition.componentDidMount();
+    jest.runAllTimers();
+
+    driver.pan({x: 200, y: 400}, 0, 50, {dt: 100});
+    jest.runAllTimers();
+    expect(onClosed).not.toHaveBeenCalled();
+    expect(transition.transformer.currentTransform().translateY).toBeCloseTo(0, 6);
+    expect(transition._backgroundOpacity).toBeCloseTo(1, 6);
+  });
+
+  it('does not swipe when disabled', () => {
+    mount({enableDismissByDrag: false});
+    transition.componentDidMount();
+    jest.runAllTimers();
+    driver.pan({x: 200, y: 400}, 0, 200, {dt: 100});
+    jest.runAllTimers();
+    expect(transition._backgroundOpacity).toBe(1);
+    expect(drawnRect()).toEqual([0, 200, 400, 600]);
+  });
+});